@@ -1,5 +1,27 @@
+import { CANONICAL_COLUMNS, REQUIRED_COLUMNS, symbolFromFileName } from './csv-parser.js';
+import {
+  guessColumnMapping,
+  isIdentityMapping,
+  loadSavedMapping,
+  saveMapping,
+  validateColumnMapping,
+} from './column-mapping.js';
 import { DataLoader } from './data-loader.js';
-import { GRUModel } from './gru.js';
+import { proposeSymbolSubset, rankLeadLagPairs } from './lead-lag.js';
+import { ARCHITECTURE_PRESETS, GRUModel } from './gru.js';
+import { BASELINES, evaluateBaselines } from './baselines.js';
+import { CLASSIFICATION_METRICS } from './metrics.js';
+import { runBacktest, signalScores } from './backtest.js';
+import {
+  checkBundleCompatibility,
+  createModelBundle,
+  hasSavedModel,
+  loadModelBundle,
+  parseModelBundle,
+  restoreModelBundle,
+  saveModelBundle,
+} from './model-store.js';
+import { clearRunHistory, loadRunHistory, saveRun } from './run-history.js';
 
 const tf = globalThis.tf;
 
@@ -7,44 +29,466 @@ if (!tf || typeof tf.nextFrame !== 'function') {
   throw new Error('TensorFlow.js failed to initialise. Ensure tf.min.js loads before app.js.');
 }
 
+const MISSING_DATA_LABELS = {
+  ffill: 'Forward-fill',
+  'drop-dates': 'Drop incomplete dates',
+  'drop-symbol': 'Drop incomplete symbols',
+  mask: 'Mask',
+};
+
+function describeMissingData(report) {
+  if (!report) {
+    return '—';
+  }
+
+  const label = MISSING_DATA_LABELS[report.policy] || report.policy;
+  if (report.policy === 'drop-dates') {
+    return `${label} (${report.droppedDates} dates dropped)`;
+  }
+  if (report.policy === 'drop-symbol') {
+    const dropped = report.droppedSymbols.length > 0 ? report.droppedSymbols.join(', ') : 'none';
+    return `${label} (dropped: ${dropped})`;
+  }
+  if (report.policy === 'mask') {
+    return `${label} (${report.maskedValues} symbol-days masked)`;
+  }
+  return label;
+}
+
+const TARGET_LABELS = {
+  direction: 'Up vs not up',
+  threshold: 'Dead band',
+  'three-class': 'Up / flat / down',
+  relative: 'Outperform universe average',
+  return: 'Forward return (regression)',
+};
+
+const CLASS_NAMES = {
+  2: ['Down', 'Up'],
+  3: ['Down', 'Flat', 'Up'],
+};
+
+const CLASS_ARROWS = {
+  2: ['↓', '↑'],
+  3: ['↓', '→', '↑'],
+};
+
+function describeTarget(target) {
+  if (!target) {
+    return '—';
+  }
+
+  const label = TARGET_LABELS[target.mode] || target.mode;
+  const band = `±${(target.threshold * 100).toFixed(2)}%`;
+  if (target.mode === 'threshold') {
+    return `${label} ${band} (${target.deadBand === 'ignore' ? 'small moves ignored' : 'small moves count as not up'})`;
+  }
+  if (target.mode === 'three-class') {
+    return `${label} (flat within ${band})`;
+  }
+  return label;
+}
+
+function formatDelta(value) {
+  const points = value * 100;
+  return `${points >= 0 ? '+' : ''}${points.toFixed(2)}`;
+}
+
+function predictedCounts(matrix) {
+  return matrix[0].map((_, predicted) => matrix.reduce((acc, counts) => acc + counts[predicted], 0));
+}
+
+function describeSignals(symbol, confusion, classes, errors) {
+  if (errors) {
+    return `${formatReturn(errors[symbol].mae)} / ${formatReturn(errors[symbol].rmse)}`;
+  }
+  if (classes === 2) {
+    return `${confusion.tp} / ${confusion.fp} / ${confusion.fn} / ${confusion.tn}`;
+  }
+  return predictedCounts(confusion.matrix).join(' / ');
+}
+
+function formatMetric(value) {
+  return value === null || value === undefined ? '—' : value.toFixed(3);
+}
+
+function metricCells(stats) {
+  return CLASSIFICATION_METRICS.map(({ key }) => `<td>${formatMetric(stats[key])}</td>`).join('');
+}
+
+const EVALUATION_LABELS = {
+  single: 'Single split',
+  'walk-forward': 'Walk-forward',
+  ablation: 'Feature ablation',
+};
+
+const BASELINE_COLOURS = {
+  alwaysUp: 'rgba(107, 114, 128, 0.9)',
+  majority: 'rgba(234, 179, 8, 0.9)',
+  persistence: 'rgba(16, 185, 129, 0.9)',
+  momentum: 'rgba(239, 68, 68, 0.9)',
+  logistic: 'rgba(139, 92, 246, 0.9)',
+};
+
+function forecastColumns(model, target) {
+  if (model.quantiles) {
+    return model.quantiles.map((level, index) => {
+      const percent = Number((level * 100).toFixed(2));
+      return { key: `q${percent}`, label: `Q${percent}`, isReturn: true, read: (value) => value[index] };
+    });
+  }
+  if (model.task === 'regression') {
+    return [{ key: 'predicted_return', label: 'Predicted return', isReturn: true, read: (value) => value }];
+  }
+  if (model.classes > 2) {
+    return CLASS_NAMES[model.classes].map((name, index) => ({
+      key: `p_${name.toLowerCase()}`,
+      label: `P(${name.toLowerCase()})`,
+      read: (value) => value[index],
+    }));
+  }
+  return target.mode === 'relative'
+    ? [{ key: 'p_outperform', label: 'P(outperform)', read: (value) => value }]
+    : [{ key: 'p_up', label: 'P(up)', read: (value) => value }];
+}
+
+// One entry per symbol and horizon day, in the units the model was trained on.
+function buildForecast(row, {
+  anchorDate,
+  targetDates,
+  symbols,
+  sequenceLength,
+  predictionDays,
+  trainSplit,
+  target,
+}, model) {
+  const columns = forecastColumns(model, target);
+  const entries = [];
+  symbols.forEach((symbol, stockIdx) => {
+    for (let day = 0; day < predictionDays; day += 1) {
+      const value = row[stockIdx * predictionDays + day];
+      entries.push({
+        symbol,
+        day: day + 1,
+        date: targetDates[day],
+        values: columns.map((column) => column.read(value)),
+      });
+    }
+  });
+
+  return {
+    anchorDate,
+    targetDates,
+    symbols,
+    sequenceLength,
+    predictionDays,
+    trainSplit,
+    columns: columns.map(({ key, label, isReturn = false }) => ({ key, label, isReturn })),
+    entries,
+  };
+}
+
+// Quoted the way parseCSVLine reads fields back.
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function forecastToCsv({
+  anchorDate,
+  sequenceLength,
+  predictionDays,
+  trainSplit,
+  columns,
+  entries,
+}) {
+  const header = [
+    'symbol',
+    'anchor_date',
+    'sequence_length',
+    'prediction_days',
+    'train_split',
+    'horizon',
+    'target_date_approx',
+    ...columns.map(({ key }) => key),
+  ];
+  const lines = entries.map(({ symbol, day, date, values }) => [
+    symbol,
+    anchorDate,
+    sequenceLength,
+    predictionDays,
+    trainSplit,
+    day,
+    date,
+    ...values.map((value) => value.toFixed(6)),
+  ].map(csvField).join(','));
+  return [header.map(csvField).join(','), ...lines].join('\n');
+}
+
+function downloadFile(name, contents, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function parseNumberList(text) {
+  return text
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map((value) => Number(value));
+}
+
+function parseQuantiles(text) {
+  return parseNumberList(text).map((value) => value / 100);
+}
+
+function describeArchitecture(config) {
+  const parts = [];
+  const backbone = config.backbone || 'gru';
+  if (backbone === 'tcn') {
+    parts.push(`TCN ${config.tcnFilters} (k${config.tcnKernelSize}, d${config.tcnDilations.join('/')})`);
+  } else if (backbone === 'transformer') {
+    parts.push(`Transformer ${config.transformerBlocks}× ${config.attentionHeads}h·${config.attentionKeyDim} (FF ${config.feedForwardUnits})`);
+  } else {
+    if (config.convFilters.length > 0) {
+      parts.push(`Conv ${config.convFilters.join('-')} (k${config.convKernelSize})`);
+    }
+    parts.push(`${config.bidirectional ? 'Bi' : ''}${backbone.toUpperCase()} ${config.gruUnits.join('-')}`);
+  }
+  if (config.denseUnits.length > 0) {
+    parts.push(`Dense ${config.denseUnits.join('-')}`);
+  }
+  return `${parts.join(' → ')} · dropout ${config.dropoutRate} · lr ${config.learningRate}`;
+}
+
+function summariseResult(metrics) {
+  const result = { accuracy: metrics.overallAccuracy };
+  if (metrics.overallError) {
+    result.mae = metrics.overallError.mae;
+    result.rmse = metrics.overallError.rmse;
+  }
+  if (metrics.interval) {
+    result.coverage = metrics.interval.coverage;
+    result.nominalCoverage = metrics.interval.nominal;
+  }
+  return result;
+}
+
+function describeResult(result) {
+  const parts = [`accuracy ${formatReturn(result.accuracy)}`];
+  if (result.mae !== undefined) {
+    parts.push(`MAE ${formatReturn(result.mae)}`);
+  }
+  if (result.coverage !== undefined) {
+    parts.push(`coverage ${formatReturn(result.coverage)}`);
+  }
+  return parts.join(' · ');
+}
+
+function formatReturn(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    return '0 B';
+  }
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
 class StockPredictionApp {
   constructor() {
     this.dataLoader = new DataLoader();
     this.trainingData = null;
+    this.isSampleDataset = false;
+    this.loadController = null;
+    this.mappingSession = null;
+    this.qualityReport = null;
     this.model = null;
+    this.modelScaler = null;
+    this.forecast = null;
+    this.testPredictions = null;
     this.accuracyChart = null;
+    this.equityChart = null;
+    this.leadLagChart = null;
+    this.leadLagAnalysis = null;
+    this.scatterCharts = [];
+    this.fanCharts = [];
+    this.rocCharts = [];
+    this.quantileForecasts = null;
+    this.rankedPerformance = null;
+    this.accuracySort = { key: 'accuracy', direction: 'descending' };
+    this.runHistory = loadRunHistory();
+    this.savedModelAvailable = false;
 
     this.dom = {
       fileInput: document.getElementById('csvFile'),
+      dropZone: document.getElementById('dropZone'),
       loadSampleBtn: document.getElementById('loadSampleBtn'),
+      cancelLoadBtn: document.getElementById('cancelLoadBtn'),
+      mappingPanel: document.getElementById('mappingPanel'),
+      mappingNote: document.getElementById('mappingNote'),
+      delimiterSelect: document.getElementById('delimiterSelect'),
+      mappingFields: document.getElementById('mappingFields'),
+      mappingPreview: document.getElementById('mappingPreview'),
+      confirmMappingBtn: document.getElementById('confirmMappingBtn'),
+      cancelMappingBtn: document.getElementById('cancelMappingBtn'),
       clearBtn: document.getElementById('clearBtn'),
       trainBtn: document.getElementById('trainBtn'),
       statusPanel: document.getElementById('statusPanel'),
       statusMessage: document.getElementById('statusMessage'),
       statusDetail: document.getElementById('statusDetail'),
       datasetSummary: document.getElementById('datasetSummary'),
+      mergeReport: document.getElementById('mergeReport'),
+      qualitySection: document.getElementById('qualitySection'),
+      qualitySummary: document.getElementById('qualitySummary'),
+      qualityTableBody: document.getElementById('qualityTableBody'),
+      qualityIssues: document.getElementById('qualityIssues'),
+      exportQualityBtn: document.getElementById('exportQualityBtn'),
+      leadLagSection: document.getElementById('leadLagSection'),
+      leadLagMaxInput: document.getElementById('leadLagMaxInput'),
+      leadLagViewSelect: document.getElementById('leadLagViewSelect'),
+      subsetSizeInput: document.getElementById('subsetSizeInput'),
+      proposeSubsetBtn: document.getElementById('proposeSubsetBtn'),
+      useAllSymbolsBtn: document.getElementById('useAllSymbolsBtn'),
+      leadLagNote: document.getElementById('leadLagNote'),
+      leadLagHeatmap: document.getElementById('leadLagHeatmap'),
+      subsetProposal: document.getElementById('subsetProposal'),
+      sequenceLengthInput: document.getElementById('sequenceLengthInput'),
+      horizonInput: document.getElementById('horizonInput'),
+      trainSplitInput: document.getElementById('trainSplitInput'),
+      purgeInput: document.getElementById('purgeInput'),
+      embargoInput: document.getElementById('embargoInput'),
+      missingDataSelect: document.getElementById('missingDataSelect'),
+      targetModeSelect: document.getElementById('targetModeSelect'),
+      targetThresholdInput: document.getElementById('targetThresholdInput'),
+      deadBandSelect: document.getElementById('deadBandSelect'),
+      regressionLossSelect: document.getElementById('regressionLossSelect'),
+      quantilesInput: document.getElementById('quantilesInput'),
       epochInput: document.getElementById('epochInput'),
       batchInput: document.getElementById('batchInput'),
+      evaluationModeSelect: document.getElementById('evaluationModeSelect'),
+      foldInput: document.getElementById('foldInput'),
+      windowModeSelect: document.getElementById('windowModeSelect'),
+      ablationUnitSelect: document.getElementById('ablationUnitSelect'),
+      featurePanel: document.getElementById('featurePanel'),
+      featureGroups: document.getElementById('featureGroups'),
+      resetFeaturesBtn: document.getElementById('resetFeaturesBtn'),
+      architecturePanel: document.getElementById('architecturePanel'),
+      architecturePresetSelect: document.getElementById('architecturePresetSelect'),
+      backboneSelect: document.getElementById('backboneSelect'),
+      convFiltersInput: document.getElementById('convFiltersInput'),
+      convKernelInput: document.getElementById('convKernelInput'),
+      gruUnitsInput: document.getElementById('gruUnitsInput'),
+      bidirectionalInput: document.getElementById('bidirectionalInput'),
+      tcnFiltersInput: document.getElementById('tcnFiltersInput'),
+      tcnKernelInput: document.getElementById('tcnKernelInput'),
+      tcnDilationsInput: document.getElementById('tcnDilationsInput'),
+      attentionHeadsInput: document.getElementById('attentionHeadsInput'),
+      attentionKeyDimInput: document.getElementById('attentionKeyDimInput'),
+      transformerBlocksInput: document.getElementById('transformerBlocksInput'),
+      feedForwardUnitsInput: document.getElementById('feedForwardUnitsInput'),
+      denseUnitsInput: document.getElementById('denseUnitsInput'),
+      dropoutInput: document.getElementById('dropoutInput'),
+      recurrentDropoutInput: document.getElementById('recurrentDropoutInput'),
+      learningRateInput: document.getElementById('learningRateInput'),
+      previewArchitectureBtn: document.getElementById('previewArchitectureBtn'),
+      layerSummary: document.getElementById('layerSummary'),
+      layerSummaryBody: document.getElementById('layerSummaryBody'),
+      runHistoryPanel: document.getElementById('runHistoryPanel'),
+      runHistoryBody: document.getElementById('runHistoryBody'),
+      clearRunHistoryBtn: document.getElementById('clearRunHistoryBtn'),
+      saveModelBtn: document.getElementById('saveModelBtn'),
+      downloadModelBtn: document.getElementById('downloadModelBtn'),
+      loadSavedModelBtn: document.getElementById('loadSavedModelBtn'),
+      modelFileInput: document.getElementById('modelFileInput'),
+      strategySelect: document.getElementById('strategySelect'),
+      topKInput: document.getElementById('topKInput'),
+      costBpsInput: document.getElementById('costBpsInput'),
+      slippageBpsInput: document.getElementById('slippageBpsInput'),
+      backtestBtn: document.getElementById('backtestBtn'),
+      backtestResults: document.getElementById('backtestResults'),
+      backtestSummary: document.getElementById('backtestSummary'),
+      backtestTableBody: document.getElementById('backtestTableBody'),
+      forecastBtn: document.getElementById('forecastBtn'),
+      exportForecastBtn: document.getElementById('exportForecastBtn'),
+      forecastSummary: document.getElementById('forecastSummary'),
+      forecastTableWrapper: document.getElementById('forecastTableWrapper'),
+      forecastTableHead: document.getElementById('forecastTableHead'),
+      forecastTableBody: document.getElementById('forecastTableBody'),
       trainingStatus: document.getElementById('trainingStatus'),
       trainingMessage: document.getElementById('trainingMessage'),
       trainingProgress: document.getElementById('trainingProgress'),
       accuracyTableBody: document.getElementById('accuracyTableBody'),
+      signalsHeader: document.getElementById('signalsHeader'),
+      accuracyTableHead: document.getElementById('accuracyTableHead'),
+      accuracyTableFoot: document.getElementById('accuracyTableFoot'),
+      horizonPanel: document.getElementById('horizonPanel'),
+      horizonTableHead: document.getElementById('horizonTableHead'),
+      horizonTableBody: document.getElementById('horizonTableBody'),
+      rocPanel: document.getElementById('rocPanel'),
+      rocContainer: document.getElementById('rocContainer'),
       timelineContainer: document.getElementById('timelineContainer'),
       confusionContainer: document.getElementById('confusionContainer'),
+      regressionSection: document.getElementById('regressionSection'),
+      regressionSummary: document.getElementById('regressionSummary'),
+      scatterContainer: document.getElementById('scatterContainer'),
+      fanPanel: document.getElementById('fanPanel'),
+      fanHorizonSelect: document.getElementById('fanHorizonSelect'),
+      fanContainer: document.getElementById('fanContainer'),
+      walkForwardSection: document.getElementById('walkForwardSection'),
+      walkForwardSummary: document.getElementById('walkForwardSummary'),
+      walkForwardTableBody: document.getElementById('walkForwardTableBody'),
+      ablationSection: document.getElementById('ablationSection'),
+      ablationSummary: document.getElementById('ablationSummary'),
+      ablationTableHead: document.getElementById('ablationTableHead'),
+      ablationTableBody: document.getElementById('ablationTableBody'),
     };
 
     this.sampleDatasetUrl = './data/sp500_top10_xcorr_recent3y.csv';
 
     this.attachEventListeners();
     this.initCharts();
+    this.updateTargetControls();
+    this.renderRunHistory();
     this.setTrainButtonEnabled(false);
+    hasSavedModel().then((available) => {
+      this.savedModelAvailable = available;
+      this.updateModelButtons(!this.dom.trainBtn.disabled);
+    });
   }
 
   attachEventListeners() {
     this.dom.fileInput.addEventListener('change', async (event) => {
-      const [file] = event.target.files;
-      if (file) {
-        await this.loadDatasetFromFile(file);
+      const files = Array.from(event.target.files || []);
+      if (files.length > 0) {
+        await this.loadDatasetFromFiles(files);
+      }
+    });
+
+    this.dom.dropZone.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      this.dom.dropZone.classList.add('drag-over');
+    });
+
+    this.dom.dropZone.addEventListener('dragleave', () => {
+      this.dom.dropZone.classList.remove('drag-over');
+    });
+
+    this.dom.dropZone.addEventListener('drop', async (event) => {
+      event.preventDefault();
+      this.dom.dropZone.classList.remove('drag-over');
+      const files = Array.from(event.dataTransfer?.files || []);
+      if (files.length > 0) {
+        await this.loadDatasetFromFiles(files);
       }
     });
 
@@ -52,6 +496,144 @@ class StockPredictionApp {
       await this.loadDatasetFromSample();
     });
 
+    this.dom.cancelLoadBtn.addEventListener('click', () => {
+      this.loadController?.abort();
+    });
+
+    this.dom.delimiterSelect.addEventListener('change', async () => {
+      await this.refreshMappingPreview();
+    });
+
+    this.dom.confirmMappingBtn.addEventListener('click', () => {
+      this.confirmColumnMapping();
+    });
+
+    this.dom.cancelMappingBtn.addEventListener('click', () => {
+      this.closeMappingWizard(null);
+    });
+
+    this.dom.exportQualityBtn.addEventListener('click', () => {
+      this.exportQualityReport();
+    });
+
+    this.dom.leadLagMaxInput.addEventListener('change', () => {
+      this.runLeadLagAnalysis();
+    });
+
+    this.dom.leadLagViewSelect.addEventListener('change', () => {
+      this.renderLeadLagHeatmap();
+    });
+
+    this.dom.leadLagHeatmap.addEventListener('click', (event) => {
+      const cell = event.target.closest('td');
+      if (cell?.dataset.leader) {
+        this.renderLagProfile(cell.dataset.leader, cell.dataset.follower);
+      }
+    });
+
+    this.dom.accuracyTableHead.addEventListener('click', (event) => {
+      const cell = event.target.closest('th[data-sort]');
+      if (cell) {
+        this.sortAccuracyTable(cell.dataset.sort);
+      }
+    });
+
+    this.dom.proposeSubsetBtn.addEventListener('click', () => {
+      this.renderSubsetProposal();
+    });
+
+    this.dom.useAllSymbolsBtn.addEventListener('click', async () => {
+      this.dataLoader.setSymbolSelection(null);
+      this.dom.useAllSymbolsBtn.hidden = true;
+      await this.rebuildDataset();
+    });
+
+    this.dom.featureGroups.addEventListener('change', async () => {
+      await this.applyFeatureSelection();
+    });
+
+    this.dom.resetFeaturesBtn.addEventListener('click', async () => {
+      this.dataLoader.setFeatureSelection(null);
+      await this.rebuildDataset();
+    });
+
+    this.dom.architecturePresetSelect.addEventListener('change', () => {
+      const preset = ARCHITECTURE_PRESETS[this.dom.architecturePresetSelect.value];
+      if (preset) {
+        this.applyArchitecture({ ...preset, backbone: this.dom.backboneSelect.value });
+      }
+    });
+
+    this.dom.backboneSelect.addEventListener('change', () => {
+      this.updateBackboneControls();
+    });
+
+    [
+      this.dom.backboneSelect,
+      this.dom.convFiltersInput,
+      this.dom.convKernelInput,
+      this.dom.gruUnitsInput,
+      this.dom.bidirectionalInput,
+      this.dom.tcnFiltersInput,
+      this.dom.tcnKernelInput,
+      this.dom.tcnDilationsInput,
+      this.dom.attentionHeadsInput,
+      this.dom.attentionKeyDimInput,
+      this.dom.transformerBlocksInput,
+      this.dom.feedForwardUnitsInput,
+      this.dom.denseUnitsInput,
+      this.dom.dropoutInput,
+      this.dom.recurrentDropoutInput,
+      this.dom.learningRateInput,
+    ].forEach((input) => {
+      input.addEventListener('change', () => {
+        this.dom.architecturePresetSelect.value = this.matchArchitecturePreset();
+        this.dom.layerSummary.hidden = true;
+      });
+    });
+
+    this.dom.previewArchitectureBtn.addEventListener('click', () => {
+      this.previewArchitecture();
+    });
+
+    this.dom.saveModelBtn.addEventListener('click', () => {
+      this.saveModel('browser');
+    });
+
+    this.dom.downloadModelBtn.addEventListener('click', () => {
+      this.saveModel('file');
+    });
+
+    this.dom.loadSavedModelBtn.addEventListener('click', () => {
+      this.loadModel(() => loadModelBundle());
+    });
+
+    this.dom.modelFileInput.addEventListener('change', async (event) => {
+      const [file] = Array.from(event.target.files || []);
+      event.target.value = '';
+      if (file) {
+        await this.loadModel(async () => parseModelBundle(await file.text()));
+      }
+    });
+
+    this.dom.backtestBtn.addEventListener('click', () => {
+      this.runBacktest();
+    });
+
+    this.dom.forecastBtn.addEventListener('click', () => {
+      this.runForecast();
+    });
+
+    this.dom.exportForecastBtn.addEventListener('click', () => {
+      this.exportForecast();
+    });
+
+    this.dom.clearRunHistoryBtn.addEventListener('click', () => {
+      clearRunHistory();
+      this.runHistory = [];
+      this.renderRunHistory();
+    });
+
     this.dom.clearBtn.addEventListener('click', () => {
       this.resetApplicationState();
     });
@@ -59,6 +641,31 @@ class StockPredictionApp {
     this.dom.trainBtn.addEventListener('click', async () => {
       await this.handleTrain();
     });
+
+    [
+      this.dom.sequenceLengthInput,
+      this.dom.horizonInput,
+      this.dom.trainSplitInput,
+      this.dom.purgeInput,
+      this.dom.embargoInput,
+      this.dom.missingDataSelect,
+      this.dom.targetModeSelect,
+      this.dom.targetThresholdInput,
+      this.dom.deadBandSelect,
+    ].forEach((input) => {
+      input.addEventListener('change', async () => {
+        this.updateTargetControls();
+        await this.rebuildDataset();
+      });
+    });
+
+    this.dom.regressionLossSelect.addEventListener('change', () => {
+      this.updateTargetControls();
+    });
+
+    this.dom.fanHorizonSelect.addEventListener('change', () => {
+      this.renderFanCharts();
+    });
   }
 
   initCharts() {
@@ -99,6 +706,65 @@ class StockPredictionApp {
         },
       },
     });
+
+    const equityContext = document.getElementById('equityChart').getContext('2d');
+    this.equityChart = new Chart(equityContext, {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: 'Strategy',
+            data: [],
+            borderColor: 'rgba(29, 78, 216, 0.9)',
+            borderWidth: 1.5,
+            pointRadius: 0,
+          },
+          {
+            label: 'Buy & hold',
+            data: [],
+            borderColor: 'rgba(107, 114, 128, 0.9)',
+            borderWidth: 1.5,
+            borderDash: [6, 4],
+            pointRadius: 0,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        scales: {
+          y: { title: { display: true, text: 'Equity (start = 1)' } },
+        },
+      },
+    });
+
+    const leadLagContext = document.getElementById('leadLagChart').getContext('2d');
+    this.leadLagChart = new Chart(leadLagContext, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: 'Correlation',
+            data: [],
+            backgroundColor: 'rgba(59, 130, 246, 0.7)',
+            borderColor: 'rgba(29, 78, 216, 0.9)',
+            borderWidth: 1.5,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        scales: {
+          x: { title: { display: true, text: 'Lag (days, positive = row symbol leads)' } },
+          y: { min: -1, max: 1 },
+        },
+        plugins: {
+          legend: { display: false },
+          title: { display: true, text: '' },
+        },
+      },
+    });
   }
 
   setStatus(message, detail = '') {
@@ -112,14 +778,242 @@ class StockPredictionApp {
     this.dom.trainingProgress.textContent = detail;
   }
 
-  async loadDatasetFromFile(file) {
+  async resolveColumnMapping(file) {
+    const preview = await this.dataLoader.previewFile(file);
+    if (preview.format !== 'long') {
+      return {
+        format: preview.format,
+        delimiter: preview.delimiter,
+        defaultSymbol: symbolFromFileName(file.name),
+        source: preview.format,
+      };
+    }
+
+    // The file name only stands in for a ticker when the header has nothing Symbol-like;
+    // otherwise Symbol must be mapped and blank cells are skipped.
+    const guess = guessColumnMapping(preview.headers);
+    const defaultSymbol = guess.Symbol ? null : symbolFromFileName(file.name);
+    const requiredColumns = REQUIRED_COLUMNS.filter((column) => column !== 'Symbol' || !defaultSymbol);
+
+    const saved = loadSavedMapping(preview.headers);
+    if (saved && validateColumnMapping(saved.columnMap, { requiredColumns }).valid) {
+      return {
+        ...saved,
+        format: 'long',
+        defaultSymbol: saved.columnMap.Symbol ? null : defaultSymbol,
+        source: 'saved',
+      };
+    }
+
+    if (isIdentityMapping(guess) && validateColumnMapping(guess, { requiredColumns }).valid) {
+      return {
+        format: 'long',
+        delimiter: preview.delimiter,
+        columnMap: guess,
+        defaultSymbol,
+        source: guess.Symbol ? 'standard' : 'filename',
+      };
+    }
+
+    return this.openMappingWizard(file, preview, guess, { defaultSymbol, requiredColumns });
+  }
+
+  openMappingWizard(file, preview, guess, { defaultSymbol, requiredColumns }) {
+    this.closeMappingWizard(null);
+    this.setStatus('Confirm the column mapping.', `${file.name}: headers did not match Date, Symbol, Open, Close.`);
+
+    return new Promise((resolve) => {
+      this.mappingSession = {
+        file,
+        resolve,
+        defaultSymbol,
+        requiredColumns,
+      };
+      this.renderMappingWizard(preview, guess);
+      this.dom.mappingPanel.hidden = false;
+    });
+  }
+
+  closeMappingWizard(result) {
+    const session = this.mappingSession;
+    this.mappingSession = null;
+    this.dom.mappingPanel.hidden = true;
+    session?.resolve(result);
+  }
+
+  async refreshMappingPreview() {
+    const session = this.mappingSession;
+    if (!session) {
+      return;
+    }
+
+    try {
+      const delimiter = this.dom.delimiterSelect.value === 'tab' ? '\t' : this.dom.delimiterSelect.value;
+      const preview = await this.dataLoader.previewFile(session.file, { delimiter });
+      this.renderMappingWizard(preview, loadSavedMapping(preview.headers)?.columnMap ?? guessColumnMapping(preview.headers));
+    } catch (error) {
+      console.error(error);
+      this.dom.mappingNote.textContent = error.message || String(error);
+    }
+  }
+
+  renderMappingWizard(preview, mapping) {
+    const { defaultSymbol, requiredColumns, file } = this.mappingSession;
+    this.mappingSession.preview = preview;
+    this.dom.delimiterSelect.value = preview.delimiter === '\t' ? 'tab' : preview.delimiter;
+    this.dom.mappingNote.textContent = [
+      `${file.name}: columns marked * are required. Unmapped optional columns are ignored.`,
+      defaultSymbol ? `Without a Symbol column every row is assigned to ${defaultSymbol} (from the file name).` : null,
+    ].filter(Boolean).join(' ');
+
+    this.dom.mappingFields.innerHTML = '';
+    CANONICAL_COLUMNS.forEach((column) => {
+      const label = document.createElement('label');
+      label.textContent = requiredColumns.includes(column) ? `${column} *` : column;
+
+      const select = document.createElement('select');
+      select.dataset.column = column;
+      select.appendChild(new Option('— not present —', ''));
+      preview.headers.forEach((header) => {
+        select.appendChild(new Option(header, header, false, mapping[column] === header));
+      });
+
+      label.appendChild(select);
+      this.dom.mappingFields.appendChild(label);
+    });
+
+    const table = this.dom.mappingPreview;
+    table.innerHTML = '';
+    const headRow = table.createTHead().insertRow();
+    preview.headers.forEach((header) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = header;
+      headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    preview.rows.forEach((values) => {
+      const row = body.insertRow();
+      values.forEach((value) => {
+        row.insertCell().textContent = value;
+      });
+    });
+  }
+
+  confirmColumnMapping() {
+    const session = this.mappingSession;
+    if (!session?.preview) {
+      return;
+    }
+
+    const columnMap = {};
+    this.dom.mappingFields.querySelectorAll('select').forEach((select) => {
+      if (select.value) {
+        columnMap[select.dataset.column] = select.value;
+      }
+    });
+
+    const { valid, missing, duplicates } = validateColumnMapping(columnMap, {
+      requiredColumns: session.requiredColumns,
+    });
+    if (!valid) {
+      const problems = [
+        missing.length > 0 ? `map ${missing.join(', ')}` : null,
+        duplicates.length > 0 ? `use ${duplicates.join(', ')} only once` : null,
+      ].filter(Boolean);
+      this.dom.mappingNote.textContent = `Please ${problems.join(' and ')}.`;
+      return;
+    }
+
+    const { delimiter, headers } = session.preview;
+    saveMapping(headers, { delimiter, columnMap });
+    this.closeMappingWizard({
+      format: 'long',
+      delimiter,
+      columnMap,
+      defaultSymbol: columnMap.Symbol ? null : session.defaultSymbol,
+      source: 'confirmed',
+    });
+  }
+
+  async loadDatasetFromFiles(files) {
+    this.loadController?.abort();
+    const controller = new AbortController();
+    this.loadController = controller;
+    const fileLabel = files.length === 1 ? files[0].name : `${files.length} files`;
+
     try {
-      this.setStatus('Reading CSV file…');
-      await this.dataLoader.loadFile(file);
+      const entries = [];
+      for (let i = 0; i < files.length; i += 1) {
+        const file = files[i];
+        this.setStatus('Inspecting file headers…', files.length > 1 ? `${file.name} (${i + 1}/${files.length})` : file.name);
+        const mapping = await this.resolveColumnMapping(file);
+        if (this.loadController !== controller) {
+          return;
+        }
+        if (!mapping || controller.signal.aborted) {
+          this.setStatus('Import cancelled.', file.name);
+          this.dom.fileInput.value = '';
+          return;
+        }
+        entries.push({
+          file,
+          format: mapping.format,
+          delimiter: mapping.delimiter,
+          columnMap: mapping.columnMap,
+          defaultSymbol: mapping.defaultSymbol,
+          source: mapping.source,
+        });
+      }
+
+      this.dom.cancelLoadBtn.hidden = false;
+      const sourceLabels = {
+        saved: 'using saved column mapping',
+        filename: 'symbol from file name',
+        wide: 'wide format (one column per ticker)',
+        json: 'JSON bars',
+        jsonl: 'JSON Lines bars',
+      };
+      const describeEntry = (entry) => (sourceLabels[entry.source] ? ` · ${sourceLabels[entry.source]}` : '');
+      const totalBytes = files.reduce((acc, file) => acc + file.size, 0);
+      this.setStatus('Reading dataset…', `0 rows · 0 B of ${formatBytes(totalBytes)}${describeEntry(entries[0])}`);
+
+      await this.dataLoader.loadFiles(entries, {
+        signal: controller.signal,
+        onProgress: ({
+          rows,
+          bytes,
+          fileIndex,
+          fileCount,
+          fileName,
+        }) => {
+          const percent = totalBytes > 0 ? Math.round((bytes / totalBytes) * 100) : 100;
+          const fileText = fileCount > 1 ? `${fileName} (${fileIndex + 1}/${fileCount}) · ` : '';
+          this.setStatus(
+            'Reading dataset…',
+            `${fileText}${rows.toLocaleString()} rows · ${formatBytes(bytes)} of ${formatBytes(totalBytes)} (${percent}%)${describeEntry(entries[fileIndex])}`,
+          );
+        },
+      });
+      this.dom.cancelLoadBtn.hidden = true;
       await this.prepareDataset();
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // A newer load aborts this one; only the load that is still current reports.
+        if (this.loadController === controller) {
+          this.setStatus('Import cancelled.', fileLabel);
+          this.dom.fileInput.value = '';
+        }
+        return;
+      }
       console.error(error);
       this.handleError(error);
+    } finally {
+      if (this.loadController === controller) {
+        this.loadController = null;
+        this.dom.cancelLoadBtn.hidden = true;
+      }
     }
   }
 
@@ -134,22 +1028,309 @@ class StockPredictionApp {
     }
   }
 
-  async prepareDataset(isSample = false) {
+  applyDatasetOptions() {
+    this.dataLoader.sequenceLength = Number(this.dom.sequenceLengthInput.value);
+    this.dataLoader.predictionHorizon = Number(this.dom.horizonInput.value);
+    this.dataLoader.trainSplit = Number(this.dom.trainSplitInput.value) / 100;
+
+    const embargoDays = Number.parseInt(this.dom.embargoInput.value, 10);
+    this.dataLoader.purge = this.dom.purgeInput.checked;
+    this.dataLoader.embargoDays = Number.isFinite(embargoDays) && embargoDays > 0 ? embargoDays : 0;
+    this.dataLoader.missingDataPolicy = this.dom.missingDataSelect.value;
+
+    const thresholdPct = Number.parseFloat(this.dom.targetThresholdInput.value);
+    this.dataLoader.targetMode = this.dom.targetModeSelect.value;
+    this.dataLoader.targetThreshold = Number.isFinite(thresholdPct) && thresholdPct > 0 ? thresholdPct / 100 : 0;
+    this.dataLoader.deadBand = this.dom.deadBandSelect.value;
+  }
+
+  updateWindowLimits() {
+    // Keep at least two windows so the train/test split stays possible.
+    const days = this.dataLoader.dates.length;
+    this.dom.sequenceLengthInput.max = String(Math.max(1, days - this.dataLoader.predictionHorizon - 1));
+    this.dom.horizonInput.max = String(Math.max(1, days - this.dataLoader.sequenceLength - 1));
+  }
+
+  renderRunContext(mode) {
+    const {
+      sequenceLength,
+      predictionDays,
+      trainSplit,
+      target,
+    } = this.trainingData;
+    const evaluation = {
+      single: `${Math.round(trainSplit * 100)}% train split`,
+      'walk-forward': `walk-forward (${Number.parseInt(this.dom.foldInput.value, 10) || 5} ${this.dom.windowModeSelect.value} folds)`,
+      ablation: `${Math.round(trainSplit * 100)}% train split, feature ablation`,
+    }[mode];
+    const text = `Run settings: ${sequenceLength}-day window · ${predictionDays}-day horizon · ${evaluation} · ${describeTarget(target)}`;
+
+    document.querySelectorAll('.run-context').forEach((element) => {
+      element.textContent = text;
+      element.hidden = false;
+    });
+  }
+
+  clearRunContext() {
+    document.querySelectorAll('.run-context').forEach((element) => {
+      element.textContent = '';
+      element.hidden = true;
+    });
+  }
+
+  updateTargetControls() {
+    const mode = this.dom.targetModeSelect.value;
+    this.dom.targetThresholdInput.disabled = mode !== 'threshold' && mode !== 'three-class';
+    this.dom.deadBandSelect.disabled = mode !== 'threshold';
+    this.dom.regressionLossSelect.disabled = mode !== 'return';
+    this.dom.quantilesInput.disabled = mode !== 'return' || this.dom.regressionLossSelect.value !== 'quantile';
+  }
+
+  async rebuildDataset() {
+    if (this.dataLoader.rows.length === 0) {
+      return;
+    }
+
+    try {
+      await this.prepareDataset(this.isSampleDataset);
+    } catch (error) {
+      console.error(error);
+      this.handleError(error);
+    }
+  }
+
+  async prepareDataset(isSample = false, { scaler } = {}) {
     this.setStatus('Preparing tensors…');
+    this.isSampleDataset = isSample;
+    this.applyDatasetOptions();
 
     this.disposeTrainingData();
-    this.trainingData = await this.dataLoader.prepareDataset();
+    // A trained model no longer matches the inputs once the dataset is rebuilt.
+    this.modelScaler = null;
+    this.testPredictions = null;
+    this.trainingData = await this.dataLoader.prepareDataset({ scaler });
 
     const featureCount = this.trainingData.featuresPerSymbol?.length || 0;
     const symbols = this.trainingData.symbols.length;
+    const conflictCount = this.dataLoader.mergeReport?.conflicts.length || 0;
+    const conflictText = conflictCount > 0 ? ` ${conflictCount} conflicting duplicate rows kept their first occurrence.` : '';
     this.setStatus(
       'Dataset ready.',
-      `${symbols} symbols × ${this.trainingData.sequenceLength}-day windows · ${featureCount} features per symbol.`,
+      `${symbols} symbols × ${this.trainingData.sequenceLength}-day windows · ${featureCount} features per symbol.${conflictText}`,
     );
     this.populateDatasetSummary(isSample);
+    this.updateWindowLimits();
+    this.qualityReport = this.dataLoader.getQualityReport();
+    this.renderQualityReport(this.qualityReport);
+    this.renderFeaturePanel();
+    this.dom.useAllSymbolsBtn.hidden = !this.dataLoader.symbolSelection;
+    // A chosen basket keeps the full-universe analysis on screen.
+    if (!this.dataLoader.symbolSelection) {
+      this.runLeadLagAnalysis();
+    }
     this.setTrainButtonEnabled(true);
   }
 
+  runLeadLagAnalysis() {
+    const { leadLagSection, leadLagViewSelect, subsetProposal } = this.dom;
+    subsetProposal.hidden = true;
+    if (this.dataLoader.symbols.length < 2) {
+      leadLagSection.hidden = true;
+      this.leadLagAnalysis = null;
+      return;
+    }
+
+    const maxLag = Math.min(20, Math.max(1, Number.parseInt(this.dom.leadLagMaxInput.value, 10) || 5));
+    this.leadLagAnalysis = this.dataLoader.analyseLeadLag({ maxLag });
+    const { symbols, lags, dates } = this.leadLagAnalysis;
+
+    leadLagSection.hidden = false;
+    this.dom.leadLagNote.textContent = `${symbols.length} symbols · daily returns ${dates[0]} → ${dates[1]} · lags −${maxLag}…+${maxLag}.`;
+
+    const previousView = leadLagViewSelect.value;
+    leadLagViewSelect.innerHTML = '';
+    leadLagViewSelect.appendChild(new Option('Strongest lead (lag > 0)', 'best'));
+    lags.forEach((lag) => {
+      leadLagViewSelect.appendChild(new Option(`Lag ${lag > 0 ? '+' : ''}${lag}`, String(lag)));
+    });
+    leadLagViewSelect.value = Array.from(leadLagViewSelect.options).some(({ value }) => value === previousView)
+      ? previousView
+      : 'best';
+
+    this.renderLeadLagHeatmap();
+    const [strongest] = rankLeadLagPairs(this.leadLagAnalysis);
+    if (strongest) {
+      this.renderLagProfile(strongest.leader, strongest.follower);
+    }
+  }
+
+  renderLeadLagHeatmap() {
+    const analysis = this.leadLagAnalysis;
+    const table = this.dom.leadLagHeatmap;
+    table.innerHTML = '';
+    if (!analysis) {
+      return;
+    }
+
+    const view = this.dom.leadLagViewSelect.value;
+    const lagIndex = analysis.lags.indexOf(Number(view));
+    const valueFor = (leader, follower) => {
+      const pair = analysis.pairs[leader][follower];
+      return view === 'best'
+        ? { value: pair.bestCorrelation, lag: pair.bestLag }
+        : { value: pair.profile[lagIndex], lag: Number(view) };
+    };
+
+    const header = document.createElement('tr');
+    header.appendChild(document.createElement('th'));
+    analysis.symbols.forEach((symbol) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = symbol;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    analysis.symbols.forEach((leader) => {
+      const row = document.createElement('tr');
+      const label = document.createElement('th');
+      label.scope = 'row';
+      label.textContent = leader;
+      row.appendChild(label);
+
+      analysis.symbols.forEach((follower) => {
+        const cell = document.createElement('td');
+        cell.dataset.leader = leader;
+        cell.dataset.follower = follower;
+        const { value, lag } = valueFor(leader, follower);
+        const isSelf = leader === follower && view === 'best';
+        cell.textContent = isSelf ? '—' : value.toFixed(2);
+        const strength = Math.min(1, Math.abs(value));
+        cell.style.background = value >= 0
+          ? `rgba(37, 99, 235, ${isSelf ? 0 : strength})`
+          : `rgba(220, 38, 38, ${strength})`;
+        cell.title = `${leader} → ${follower} at lag ${lag > 0 ? '+' : ''}${lag}: ${value.toFixed(3)}`;
+        row.appendChild(cell);
+      });
+
+      table.appendChild(row);
+    });
+  }
+
+  renderLagProfile(leader, follower) {
+    const { lags, pairs } = this.leadLagAnalysis;
+    const { profile, bestLag } = pairs[leader][follower];
+
+    this.dom.leadLagHeatmap.querySelectorAll('td.selected').forEach((cell) => cell.classList.remove('selected'));
+    this.dom.leadLagHeatmap.querySelector(`td[data-leader="${leader}"][data-follower="${follower}"]`)
+      ?.classList.add('selected');
+
+    this.leadLagChart.data.labels = lags.map((lag) => (lag > 0 ? `+${lag}` : String(lag)));
+    this.leadLagChart.data.datasets[0].data = profile.map((value) => Number(value.toFixed(4)));
+    this.leadLagChart.data.datasets[0].backgroundColor = lags.map((lag) => (
+      lag === bestLag && leader !== follower ? 'rgba(245, 158, 11, 0.85)' : 'rgba(59, 130, 246, 0.7)'
+    ));
+    this.leadLagChart.options.plugins.title.text = `${leader} leading ${follower}`;
+    this.leadLagChart.update();
+  }
+
+  renderSubsetProposal() {
+    if (!this.leadLagAnalysis) {
+      return;
+    }
+
+    const size = Number.parseInt(this.dom.subsetSizeInput.value, 10) || 5;
+    const proposal = proposeSymbolSubset(this.leadLagAnalysis, { size });
+    const container = this.dom.subsetProposal;
+    container.hidden = false;
+    container.innerHTML = '';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Proposed basket: ${proposal.symbols.join(', ')}`;
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    proposal.pairs.slice(0, 10).forEach(({
+      leader,
+      follower,
+      lag,
+      correlation,
+    }) => {
+      const item = document.createElement('li');
+      item.textContent = `${leader} leads ${follower} by ${lag} day${lag === 1 ? '' : 's'} (ρ ${correlation.toFixed(3)})`;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.textContent = 'Train on this basket';
+    useButton.addEventListener('click', async () => {
+      this.dataLoader.setSymbolSelection(proposal.symbols);
+      this.dom.useAllSymbolsBtn.hidden = false;
+      await this.rebuildDataset();
+    });
+    container.appendChild(useButton);
+  }
+
+  renderFeaturePanel() {
+    const { featurePanel, featureGroups } = this.dom;
+    const registry = this.dataLoader.features;
+    const allNames = registry.list().map(({ name }) => name);
+    const computable = registry.resolve(this.dataLoader.availableFeatureInputs(), allNames, {
+      symbolCount: this.dataLoader.symbols.length,
+    });
+    const selected = this.dataLoader.featuresPerSymbol;
+    const required = this.dataLoader.requiredFeatures();
+
+    featurePanel.hidden = false;
+    featureGroups.innerHTML = '';
+    registry.groupsOf(allNames).forEach((names, group) => {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = group;
+      fieldset.appendChild(legend);
+
+      names.forEach((name) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = name;
+        checkbox.checked = selected.includes(name);
+        checkbox.disabled = !computable.includes(name) || required.includes(name);
+        if (required.includes(name)) {
+          label.title = 'Always used with the Mask missing-data policy';
+        } else if (checkbox.disabled) {
+          const { inputs, minSymbols } = registry.get(name);
+          label.className = 'unavailable';
+          label.title = minSymbols > this.dataLoader.symbols.length
+            ? `Needs at least ${minSymbols} symbols`
+            : `Needs ${inputs.join(', ')}`;
+        }
+        label.appendChild(checkbox);
+        label.append(` ${name}`);
+        fieldset.appendChild(label);
+      });
+
+      featureGroups.appendChild(fieldset);
+    });
+  }
+
+  async applyFeatureSelection() {
+    const required = this.dataLoader.requiredFeatures();
+    const checked = Array.from(this.dom.featureGroups.querySelectorAll('input[type="checkbox"]:checked'))
+      .map((checkbox) => checkbox.value)
+      .filter((name) => !required.includes(name));
+    if (checked.length === 0) {
+      this.setStatus('Select at least one feature.');
+      this.renderFeaturePanel();
+      return;
+    }
+
+    this.dataLoader.setFeatureSelection(checked);
+    await this.rebuildDataset();
+  }
+
   populateDatasetSummary(isSample) {
     const { datasetSummary } = this.dom;
     datasetSummary.hidden = false;
@@ -158,18 +1339,44 @@ class StockPredictionApp {
     const featureCount = this.trainingData.featuresPerSymbol?.length || 0;
 
     const featureNames = (this.trainingData.featuresPerSymbol || []).join(', ') || '—';
+    const fitRange = this.trainingData.scaler?.fitRange;
+    const fitEnd = fitRange ? (fitRange.end ?? this.dataLoader.dates.length) - 1 : -1;
+    const scalingWindow = fitRange
+      ? `${this.dataLoader.dates[fitRange.start]} → ${this.dataLoader.dates[fitEnd]}`
+      : '—';
 
     const entries = [
       { title: 'Unique symbols', value: this.trainingData.symbols.length },
       { title: 'Timeline days', value: this.dataLoader.dates.length },
       { title: 'Training samples', value: this.trainingData.splitIndex },
       { title: 'Test samples', value: this.trainingData.sampleDates.length - this.trainingData.splitIndex },
+      { title: 'Purged samples', value: this.dataLoader.purge ? this.trainingData.purgedSamples : 'Off' },
+      { title: 'Embargoed samples', value: `${this.trainingData.embargoedSamples} (${this.dataLoader.embargoDays} days)` },
       { title: 'Sequence length', value: `${this.trainingData.sequenceLength} days` },
       { title: 'Prediction horizon', value: `${this.trainingData.predictionDays} days` },
+      { title: 'Train split', value: `${Math.round(this.trainingData.trainSplit * 100)}% / ${100 - Math.round(this.trainingData.trainSplit * 100)}%` },
       { title: 'Features per symbol', value: featureCount },
+      { title: 'Scaling fit window', value: scalingWindow },
+      { title: 'Missing data', value: describeMissingData(this.trainingData.missingData) },
+      { title: 'Target', value: describeTarget(this.trainingData.target) },
       { title: 'Feature set', value: featureNames },
     ];
 
+    const mergeReport = this.dataLoader.mergeReport;
+    if (mergeReport) {
+      if (mergeReport.sources.length > 1) {
+        entries.unshift({ title: 'Source files', value: mergeReport.sources.length });
+      }
+      entries.push({
+        title: 'Duplicate rows',
+        value: `${mergeReport.identicalDuplicates} identical · ${mergeReport.conflicts.length} conflicting`,
+      });
+    }
+
+    if (this.dataLoader.symbolSelection) {
+      entries.push({ title: 'Symbol basket', value: this.trainingData.symbols.join(', ') });
+    }
+
     if (isSample) {
       entries.unshift({ title: 'Source', value: 'Bundled sample (S&P 500 subset)' });
     }
@@ -180,6 +1387,378 @@ class StockPredictionApp {
       card.innerHTML = `<h3>${title}</h3><p>${value}</p>`;
       datasetSummary.appendChild(card);
     });
+
+    this.renderMergeReport(mergeReport);
+  }
+
+  renderMergeReport(mergeReport) {
+    const container = this.dom.mergeReport;
+    container.innerHTML = '';
+    const conflicts = mergeReport?.conflicts || [];
+    container.hidden = conflicts.length === 0;
+    if (conflicts.length === 0) {
+      return;
+    }
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Conflicting duplicate rows (${conflicts.length}) — the first occurrence was kept`;
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    conflicts.slice(0, 20).forEach(({
+      date,
+      symbol,
+      keptSource,
+      droppedSource,
+      differences,
+    }) => {
+      const item = document.createElement('li');
+      const diffText = differences
+        .map(({ field, kept, dropped }) => `${field} ${kept} vs ${dropped}`)
+        .join(', ');
+      item.textContent = `${date} ${symbol}: ${keptSource} kept over ${droppedSource} (${diffText})`;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    if (conflicts.length > 20) {
+      const more = document.createElement('p');
+      more.textContent = `…and ${conflicts.length - 20} more.`;
+      container.appendChild(more);
+    }
+  }
+
+  renderQualityReport(report) {
+    const {
+      qualitySection,
+      qualitySummary,
+      qualityTableBody,
+      qualityIssues,
+    } = this.dom;
+    qualitySection.hidden = false;
+    qualitySummary.innerHTML = '';
+    qualityTableBody.innerHTML = '';
+    qualityIssues.innerHTML = '';
+
+    const { summary } = report;
+    const entries = [
+      { title: 'Skipped rows', value: summary.skippedRows },
+      { title: 'Missing trading days', value: summary.missingTradingDays },
+      { title: 'Duplicate rows', value: `${summary.identicalDuplicates} identical · ${summary.conflictingDuplicates} conflicting` },
+      { title: 'Non-numeric prices', value: summary.nonNumericPrices },
+      { title: 'Non-positive prices', value: summary.nonPositivePrices },
+      { title: 'Suspicious jumps', value: summary.suspiciousJumps },
+      { title: 'Missing or filled', value: `${(summary.filledShare * 100).toFixed(2)}%` },
+      { title: 'Dropped symbols', value: summary.droppedSymbols.length > 0 ? summary.droppedSymbols.join(', ') : 'none' },
+    ];
+    entries.forEach(({ title, value }) => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      card.innerHTML = `<h3>${title}</h3><p>${value}</p>`;
+      qualitySummary.appendChild(card);
+    });
+
+    report.perSymbol.forEach((entry) => {
+      const row = document.createElement('tr');
+      const cells = [
+        entry.dropped ? `${entry.symbol} (dropped)` : entry.symbol,
+        entry.rows,
+        entry.firstDate ? `${entry.firstDate} → ${entry.lastDate}` : '—',
+        entry.skippedRows,
+        entry.missingTradingDays.count,
+        `${entry.duplicates.identical} / ${entry.duplicates.conflicting}`,
+        entry.nonNumericPrices.count + entry.nonPositivePrices.count,
+        entry.suspiciousJumps.length,
+        `${(entry.filled.share * 100).toFixed(2)}% (${entry.filled.days} days)`,
+      ];
+      cells.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      qualityTableBody.appendChild(row);
+    });
+
+    const issues = [];
+    report.skippedRows.details.forEach(({
+      source,
+      line,
+      reason,
+      symbol,
+    }) => {
+      const where = line === null ? source : `${source} line ${line}`;
+      issues.push(`${where}${symbol ? ` (${symbol})` : ''}: skipped, ${reason}`);
+    });
+    report.perSymbol.forEach(({ symbol, suspiciousJumps, nonPositivePrices }) => {
+      suspiciousJumps.forEach(({ date, previousDate, change, splitRatio }) => {
+        const splitText = splitRatio ? ` — looks like a ${splitRatio} split` : '';
+        issues.push(`${symbol} ${previousDate} → ${date}: close moved ${(change * 100).toFixed(1)}%${splitText}`);
+      });
+      nonPositivePrices.examples.forEach(({ date, column, value }) => {
+        issues.push(`${symbol} ${date}: ${column} is ${value}`);
+      });
+    });
+
+    qualityIssues.hidden = issues.length === 0;
+    if (issues.length === 0) {
+      return;
+    }
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Issues (${issues.length})`;
+    qualityIssues.appendChild(heading);
+
+    const list = document.createElement('ul');
+    issues.slice(0, 50).forEach((text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    qualityIssues.appendChild(list);
+
+    if (issues.length > 50) {
+      const more = document.createElement('p');
+      more.textContent = `…and ${issues.length - 50} more in the exported report.`;
+      qualityIssues.appendChild(more);
+    }
+  }
+
+  exportQualityReport() {
+    if (!this.qualityReport) {
+      return;
+    }
+
+    const payload = { ...this.qualityReport, settings: this.dataLoader.getWindowSettings() };
+    downloadFile('data-quality-report.json', JSON.stringify(payload, null, 2), 'application/json');
+  }
+
+  readTrainingOptions() {
+    return {
+      epochs: Number.parseInt(this.dom.epochInput.value, 10) || 35,
+      batchSize: Number.parseInt(this.dom.batchInput.value, 10) || 32,
+      architecture: this.readArchitecture(),
+    };
+  }
+
+  readArchitecture() {
+    return {
+      ...ARCHITECTURE_PRESETS.default,
+      backbone: this.dom.backboneSelect.value,
+      convFilters: parseNumberList(this.dom.convFiltersInput.value),
+      convKernelSize: Number(this.dom.convKernelInput.value),
+      gruUnits: parseNumberList(this.dom.gruUnitsInput.value),
+      bidirectional: this.dom.bidirectionalInput.checked,
+      tcnFilters: Number(this.dom.tcnFiltersInput.value),
+      tcnKernelSize: Number(this.dom.tcnKernelInput.value),
+      tcnDilations: parseNumberList(this.dom.tcnDilationsInput.value),
+      attentionHeads: Number(this.dom.attentionHeadsInput.value),
+      attentionKeyDim: Number(this.dom.attentionKeyDimInput.value),
+      transformerBlocks: Number(this.dom.transformerBlocksInput.value),
+      feedForwardUnits: Number(this.dom.feedForwardUnitsInput.value),
+      denseUnits: parseNumberList(this.dom.denseUnitsInput.value),
+      dropoutRate: Number(this.dom.dropoutInput.value),
+      recurrentDropout: Number(this.dom.recurrentDropoutInput.value),
+      learningRate: Number(this.dom.learningRateInput.value),
+    };
+  }
+
+  applyArchitecture(config) {
+    this.dom.backboneSelect.value = config.backbone;
+    this.dom.convFiltersInput.value = config.convFilters.join(', ');
+    this.dom.convKernelInput.value = String(config.convKernelSize);
+    this.dom.gruUnitsInput.value = config.gruUnits.join(', ');
+    this.dom.bidirectionalInput.checked = config.bidirectional;
+    this.dom.tcnFiltersInput.value = String(config.tcnFilters);
+    this.dom.tcnKernelInput.value = String(config.tcnKernelSize);
+    this.dom.tcnDilationsInput.value = config.tcnDilations.join(', ');
+    this.dom.attentionHeadsInput.value = String(config.attentionHeads);
+    this.dom.attentionKeyDimInput.value = String(config.attentionKeyDim);
+    this.dom.transformerBlocksInput.value = String(config.transformerBlocks);
+    this.dom.feedForwardUnitsInput.value = String(config.feedForwardUnits);
+    this.dom.denseUnitsInput.value = config.denseUnits.join(', ');
+    this.dom.dropoutInput.value = String(config.dropoutRate);
+    this.dom.recurrentDropoutInput.value = String(config.recurrentDropout);
+    this.dom.learningRateInput.value = String(config.learningRate);
+    this.dom.layerSummary.hidden = true;
+    this.updateBackboneControls();
+  }
+
+  updateBackboneControls() {
+    const backbone = this.dom.backboneSelect.value;
+    this.dom.architecturePanel.querySelectorAll('[data-backbones]').forEach((element) => {
+      element.hidden = !element.dataset.backbones.split(' ').includes(backbone);
+    });
+  }
+
+  // Presets size every backbone, so the current backbone choice is kept when matching.
+  matchArchitecturePreset() {
+    const architecture = this.readArchitecture();
+    const current = JSON.stringify(architecture);
+    const match = Object.entries(ARCHITECTURE_PRESETS)
+      .find(([, preset]) => JSON.stringify({
+        ...ARCHITECTURE_PRESETS.default,
+        ...preset,
+        backbone: architecture.backbone,
+      }) === current);
+    return match ? match[0] : 'custom';
+  }
+
+  previewArchitecture() {
+    if (!this.trainingData) {
+      return;
+    }
+
+    const model = this.createModel();
+    try {
+      model.build(this.readArchitecture());
+      this.renderLayerSummary(model.summarise());
+    } catch (error) {
+      console.error(error);
+      this.setStatus('Invalid architecture.', error.message || String(error));
+    } finally {
+      model.dispose();
+    }
+  }
+
+  renderLayerSummary({ layers, totalParams, trainableParams }) {
+    const { layerSummary, layerSummaryBody } = this.dom;
+    layerSummary.hidden = false;
+    layerSummaryBody.innerHTML = '';
+
+    layers.forEach(({
+      name,
+      type,
+      outputShape,
+      params,
+    }) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${name}</td>
+        <td>${type}</td>
+        <td>[${outputShape.map((dim) => dim ?? 'batch').join(', ')}]</td>
+        <td>${params.toLocaleString()}</td>
+      `;
+      layerSummaryBody.appendChild(row);
+    });
+
+    const total = document.createElement('tr');
+    total.innerHTML = `<td colspan="3"><strong>Total (${trainableParams.toLocaleString()} trainable)</strong></td><td><strong>${totalParams.toLocaleString()}</strong></td>`;
+    layerSummaryBody.appendChild(total);
+  }
+
+  recordRun(mode, options, metrics) {
+    const { symbols, featuresPerSymbol } = this.trainingData;
+    this.runHistory = saveRun({
+      finishedAt: new Date().toISOString(),
+      mode,
+      settings: this.dataLoader.getWindowSettings(),
+      symbols: symbols.length,
+      features: featuresPerSymbol.slice(),
+      training: { epochs: options.epochs, batchSize: options.batchSize },
+      architecture: this.model.config,
+      parameters: this.model.summarise().totalParams,
+      result: summariseResult(metrics),
+    });
+    this.renderRunHistory();
+  }
+
+  renderRunHistory() {
+    const { runHistoryPanel, runHistoryBody } = this.dom;
+    runHistoryPanel.hidden = this.runHistory.length === 0;
+    runHistoryBody.innerHTML = '';
+
+    this.runHistory.forEach((run) => {
+      const { settings } = run;
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${new Date(run.finishedAt).toLocaleString()}</td>
+        <td>${EVALUATION_LABELS[run.mode] || run.mode}</td>
+        <td>${settings.sequenceLength}-day window · ${settings.predictionHorizon}-day horizon · ${describeTarget(settings.target)}</td>
+        <td>${describeArchitecture(run.architecture)}</td>
+        <td>${run.parameters.toLocaleString()}</td>
+        <td>${describeResult(run.result)}</td>
+      `;
+      runHistoryBody.appendChild(row);
+    });
+  }
+
+  createModel(dataset = this.trainingData) {
+    const featuresPerSymbol = dataset.featuresPerSymbol.length;
+    const inputShape = [
+      dataset.sequenceLength,
+      dataset.symbols.length * featuresPerSymbol,
+    ];
+    const outputSize = dataset.symbols.length * dataset.predictionDays;
+
+    return new GRUModel({
+      inputShape,
+      outputSize,
+      classes: dataset.target.classes,
+      task: dataset.target.task,
+      loss: this.dom.regressionLossSelect.value,
+      quantiles: parseQuantiles(this.dom.quantilesInput.value),
+    });
+  }
+
+  async fitModel(dataset, {
+    epochs,
+    batchSize,
+    label = 'Epoch',
+    model = this.model,
+    architecture,
+  }) {
+    model.build(architecture);
+    if (model === this.model) {
+      this.renderLayerSummary(model.summarise());
+      this.modelScaler = dataset.scaler;
+    }
+    await tf.nextFrame();
+
+    let lastLoss = Number.NaN;
+    await model.train({
+      X_train: dataset.X_train,
+      y_train: dataset.y_train,
+      X_val: dataset.X_test,
+      y_val: dataset.y_test,
+      epochs,
+      batchSize,
+      onEpochEnd: (epoch, logs) => {
+        lastLoss = logs.loss;
+        const valAcc = logs.val_binaryAccuracy ?? logs.val_categoricalAccuracy ?? logs.val_acc;
+        const trainAcc = logs.binaryAccuracy ?? logs.categoricalAccuracy ?? logs.acc;
+        const lr = model.getLearningRate();
+        const valMae = logs.val_meanAbsoluteError;
+        const valCoverage = logs.val_intervalCoverage;
+        const accText = [
+          trainAcc !== undefined ? `train acc ${(trainAcc * 100).toFixed(1)}%` : null,
+          valAcc !== undefined ? `val acc ${(valAcc * 100).toFixed(1)}%` : null,
+          valMae !== undefined ? `val MAE ${formatReturn(valMae)}` : null,
+          valCoverage !== undefined ? `val coverage ${formatReturn(valCoverage)}` : null,
+        ]
+          .filter(Boolean)
+          .join(' · ');
+        const detailParts = [
+          `loss ${logs.loss.toFixed(4)}`,
+          accText,
+          Number.isFinite(lr) ? `lr ${lr.toExponential(2)}` : null,
+        ].filter(Boolean);
+
+        this.setTrainingStatus(true, `${label} ${epoch + 1}/${epochs}`, detailParts.join(' · '));
+      },
+    });
+
+    return lastLoss;
+  }
+
+  async predictTestSet(dataset, model = this.model) {
+    const predictionTensor = model.predict(dataset.X_test);
+    const [predictionsArray, labelsArray] = await Promise.all([
+      predictionTensor.array(),
+      dataset.y_test.array(),
+    ]);
+
+    predictionTensor.dispose();
+    return { predictionsArray, labelsArray };
   }
 
   async handleTrain() {
@@ -187,8 +1766,7 @@ class StockPredictionApp {
       return;
     }
 
-    const epochs = Number.parseInt(this.dom.epochInput.value, 10) || 35;
-    const batchSize = Number.parseInt(this.dom.batchInput.value, 10) || 32;
+    const options = this.readTrainingOptions();
 
     try {
       this.setTrainButtonEnabled(false);
@@ -197,50 +1775,30 @@ class StockPredictionApp {
       if (this.model) {
         this.model.dispose();
       }
-
-      const featuresPerSymbol = this.trainingData.featuresPerSymbol.length;
-      const inputShape = [
-        this.trainingData.sequenceLength,
-        this.trainingData.symbols.length * featuresPerSymbol,
-      ];
-      const outputSize = this.trainingData.symbols.length * this.trainingData.predictionDays;
-
-      this.model = new GRUModel({ inputShape, outputSize });
-      this.model.build();
-
-      await tf.nextFrame();
-
-      let lastLoss = Number.NaN;
-      await this.model.train({
-        X_train: this.trainingData.X_train,
-        y_train: this.trainingData.y_train,
-        X_val: this.trainingData.X_test,
-        y_val: this.trainingData.y_test,
-        epochs,
-        batchSize,
-        onEpochEnd: (epoch, logs) => {
-          lastLoss = logs.loss;
-          const valAcc = logs.val_binaryAccuracy ?? logs.val_acc ?? logs.val_binaryaccuracy;
-          const trainAcc = logs.binaryAccuracy ?? logs.acc ?? logs.binaryaccuracy;
-          const lr = this.model?.getLearningRate?.();
-          const accText = [
-            trainAcc !== undefined ? `train acc ${(trainAcc * 100).toFixed(1)}%` : null,
-            valAcc !== undefined ? `val acc ${(valAcc * 100).toFixed(1)}%` : null,
-          ]
-            .filter(Boolean)
-            .join(' · ');
-          const detailParts = [
-            `loss ${logs.loss.toFixed(4)}`,
-            accText,
-            Number.isFinite(lr) ? `lr ${lr.toExponential(2)}` : null,
-          ].filter(Boolean);
-
-          this.setTrainingStatus(true, `Epoch ${epoch + 1}/${epochs}`, detailParts.join(' · '));
-        },
-      });
-
-      this.setTrainingStatus(true, 'Finalising…', `last loss ${lastLoss.toFixed(4)}`);
-      await this.evaluateModel();
+      this.model = this.createModel();
+      this.modelScaler = null;
+      this.testPredictions = null;
+
+      const mode = this.dom.evaluationModeSelect.value;
+      this.renderRunContext(mode);
+      this.dom.walkForwardSection.hidden = mode !== 'walk-forward';
+      this.dom.ablationSection.hidden = mode !== 'ablation';
+
+      let metrics;
+      if (mode === 'walk-forward') {
+        metrics = await this.runWalkForward(options);
+      } else if (mode === 'ablation') {
+        metrics = await this.runAblation(options);
+      } else {
+        const lastLoss = await this.fitModel(this.trainingData, options);
+
+        this.setTrainingStatus(true, 'Finalising…', `last loss ${lastLoss.toFixed(4)}`);
+        metrics = await this.evaluateModel();
+      }
+      this.recordRun(mode, options, metrics);
+      if (mode === 'walk-forward') {
+        this.model.dispose();
+      }
     } catch (error) {
       console.error(error);
       this.handleError(error);
@@ -250,6 +1808,243 @@ class StockPredictionApp {
     }
   }
 
+  async saveModel(destination) {
+    try {
+      const bundle = await createModelBundle(this.model, this.trainingData, this.modelScaler);
+      if (destination === 'file') {
+        downloadFile('stock-model.json', JSON.stringify(bundle), 'application/json');
+        this.setStatus('Model downloaded.', 'stock-model.json holds the weights and preprocessing metadata.');
+      } else {
+        await saveModelBundle(bundle);
+        this.savedModelAvailable = true;
+        this.setStatus('Model saved to browser storage.', `${bundle.metadata.symbols.length} symbols · ${bundle.metadata.featuresPerSymbol.length} features per symbol.`);
+      }
+    } catch (error) {
+      console.error(error);
+      this.setStatus('Unable to save the model.', error.message || String(error));
+    }
+    this.updateModelButtons();
+  }
+
+  async loadModel(readBundle) {
+    if (!this.trainingData) {
+      return;
+    }
+
+    let restored = null;
+    try {
+      this.setTrainButtonEnabled(false);
+      const bundle = await readBundle();
+      if (!bundle) {
+        throw new Error('No model is saved in this browser.');
+      }
+      checkBundleCompatibility(bundle, this.trainingData);
+      restored = restoreModelBundle(bundle);
+
+      await this.prepareDataset(this.isSampleDataset, { scaler: restored.scaler });
+      if (this.model) {
+        this.model.dispose();
+      }
+      this.model = restored.model;
+      this.modelScaler = restored.scaler;
+      restored = null;
+
+      this.applyArchitecture(this.model.config);
+      if (this.model.task === 'regression') {
+        this.dom.regressionLossSelect.value = this.model.loss;
+      }
+      if (this.model.quantiles) {
+        this.dom.quantilesInput.value = this.model.quantiles.map((level) => Number((level * 100).toFixed(2))).join(', ');
+      }
+      this.dom.architecturePresetSelect.value = this.matchArchitecturePreset();
+      this.renderLayerSummary(this.model.summarise());
+      this.renderRunContext('single');
+
+      const metrics = await this.evaluateModel();
+      this.setStatus(
+        'Saved model loaded.',
+        `Saved ${new Date(bundle.savedAt).toLocaleString()}${bundle.metadata.trainSplit ? ` · ${Math.round(bundle.metadata.trainSplit * 100)}% train split` : ''} · test-split accuracy ${(metrics.overallAccuracy * 100).toFixed(2)}% using the saved scaling statistics.`,
+      );
+    } catch (error) {
+      console.error(error);
+      restored?.model.dispose();
+      this.setStatus('Unable to load the model.', error.message || String(error));
+    } finally {
+      this.setTrainButtonEnabled(Boolean(this.trainingData));
+    }
+  }
+
+  updateModelButtons(enabled = true) {
+    const ready = enabled && Boolean(this.trainingData);
+    const trained = ready && Boolean(this.model?.model && this.modelScaler);
+    this.dom.saveModelBtn.disabled = !trained;
+    this.dom.downloadModelBtn.disabled = !trained;
+    this.dom.loadSavedModelBtn.disabled = !ready || !this.savedModelAvailable;
+    this.dom.modelFileInput.disabled = !ready;
+    this.dom.forecastBtn.disabled = !trained;
+    this.dom.backtestBtn.disabled = !ready || !this.testPredictions;
+    this.dom.exportForecastBtn.disabled = !enabled || !this.forecast;
+  }
+
+  runBacktest() {
+    if (!this.testPredictions || !this.model) {
+      return null;
+    }
+
+    try {
+      const inputs = this.dataLoader.getBacktestInputs();
+      const { sequenceLength, predictionDays, trainSplit } = this.trainingData;
+      const backtest = runBacktest({
+        ...inputs,
+        scores: signalScores(this.testPredictions, {
+          symbols: inputs.symbols,
+          predictionDays: this.trainingData.predictionDays,
+          classes: this.model.classes,
+          task: this.model.task,
+          quantiles: this.model.quantiles,
+        }),
+        strategy: this.dom.strategySelect.value,
+        topK: Number(this.dom.topKInput.value),
+        costBps: Number(this.dom.costBpsInput.value),
+        slippageBps: Number(this.dom.slippageBpsInput.value),
+      });
+      const result = {
+        ...backtest,
+        sequenceLength,
+        predictionDays,
+        trainSplit,
+      };
+      this.renderBacktest(result);
+      return result;
+    } catch (error) {
+      console.error(error);
+      this.setStatus('Unable to run the backtest.', error.message || String(error));
+      return null;
+    }
+  }
+
+  renderBacktest(result) {
+    const { backtestResults, backtestSummary, backtestTableBody } = this.dom;
+    backtestResults.hidden = !result;
+    backtestTableBody.innerHTML = '';
+    if (!result) {
+      this.equityChart.data.labels = [];
+      this.equityChart.data.datasets.forEach((dataset) => {
+        dataset.data = [];
+      });
+      this.equityChart.update();
+      return;
+    }
+
+    const { strategyMetrics: strategy, benchmarkMetrics: benchmark } = result;
+    const strategyName = result.strategy === 'top-k'
+      ? `Top ${result.topK}`
+      : this.dom.strategySelect.querySelector(`option[value="${result.strategy}"]`).textContent;
+    backtestSummary.textContent = [
+      `${strategyName} · ${result.periods} rebalances ${result.start} → ${result.end}`,
+      `${result.costBps} bps costs + ${result.slippageBps} bps slippage per unit traded`,
+      `signals from a ${result.sequenceLength}-day window, ${result.predictionDays}-day horizon, ${Math.round(result.trainSplit * 100)}% train split.`,
+    ].join(' · ');
+
+    const ratio = (value) => value.toFixed(2);
+    [
+      ['Total return', 'totalReturn', formatReturn],
+      ['CAGR', 'cagr', formatReturn],
+      ['Sharpe ratio', 'sharpe', ratio],
+      ['Max drawdown', 'maxDrawdown', formatReturn],
+      ['Turnover per rebalance', 'turnover', formatReturn],
+      ['Hit rate', 'hitRate', formatReturn],
+      ['Costs paid', 'costs', formatReturn],
+    ].forEach(([label, key, format]) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `<th scope="row">${label}</th><td>${format(strategy[key])}</td><td>${format(benchmark[key])}</td>`;
+      backtestTableBody.appendChild(row);
+    });
+
+    this.equityChart.data.labels = result.curve.map(({ date }) => date);
+    this.equityChart.data.datasets[0].data = result.curve.map(({ strategy: value }) => Number(value.toFixed(4)));
+    this.equityChart.data.datasets[1].data = result.curve.map(({ benchmark: value }) => Number(value.toFixed(4)));
+    this.equityChart.update();
+  }
+
+  async runForecast() {
+    if (!this.model?.model || !this.modelScaler) {
+      return;
+    }
+
+    let latest = null;
+    let predictions = null;
+    try {
+      latest = this.dataLoader.createForecastWindow(this.modelScaler);
+      predictions = this.model.predict(latest.X);
+      const [row] = await predictions.array();
+      this.forecast = buildForecast(row, latest, this.model);
+      this.renderForecast(this.forecast);
+      this.setStatus(
+        'Forecast ready.',
+        `${latest.symbols.length} symbols · D+1…D+${latest.predictionDays} from the window ending ${latest.anchorDate}.`,
+      );
+    } catch (error) {
+      console.error(error);
+      this.setStatus('Unable to forecast.', error.message || String(error));
+    } finally {
+      latest?.X.dispose();
+      predictions?.dispose();
+    }
+    this.updateModelButtons();
+  }
+
+  renderForecast(forecast) {
+    const {
+      forecastSummary,
+      forecastTableWrapper,
+      forecastTableHead,
+      forecastTableBody,
+    } = this.dom;
+    forecastTableHead.innerHTML = '';
+    forecastTableBody.innerHTML = '';
+    forecastSummary.hidden = !forecast;
+    forecastTableWrapper.hidden = !forecast;
+    if (!forecast) {
+      return;
+    }
+
+    const {
+      anchorDate,
+      targetDates,
+      symbols,
+      sequenceLength,
+      predictionDays,
+      trainSplit,
+      columns,
+      entries,
+    } = forecast;
+    forecastSummary.textContent = `${sequenceLength}-day window ending ${anchorDate} · ${predictionDays}-day horizon · ${Math.round(trainSplit * 100)}% train split · each cell shows ${columns.map(({ label }) => label).join(' / ')}.`;
+
+    const header = document.createElement('tr');
+    header.innerHTML = `<th scope="col">Symbol</th>${targetDates
+      .map((date, day) => `<th scope="col">D+${day + 1}${date ? ` (≈${date})` : ''}</th>`)
+      .join('')}`;
+    forecastTableHead.appendChild(header);
+
+    const format = (value, isReturn) => (isReturn ? formatReturn(value) : `${(value * 100).toFixed(1)}%`);
+    symbols.forEach((symbol, stockIdx) => {
+      const row = document.createElement('tr');
+      const cells = entries
+        .slice(stockIdx * predictionDays, (stockIdx + 1) * predictionDays)
+        .map(({ values }) => `<td>${values.map((value, index) => format(value, columns[index].isReturn)).join(' / ')}</td>`);
+      row.innerHTML = `<th scope="row">${symbol}</th>${cells.join('')}`;
+      forecastTableBody.appendChild(row);
+    });
+  }
+
+  exportForecast() {
+    if (!this.forecast) {
+      return;
+    }
+    downloadFile(`forecast-${this.forecast.anchorDate}.csv`, forecastToCsv(this.forecast), 'text/csv');
+  }
+
   async evaluateModel() {
     if (!this.model || !this.trainingData) {
       return;
@@ -257,13 +2052,7 @@ class StockPredictionApp {
 
     this.setStatus('Evaluating on held-out set…');
 
-    const predictionTensor = this.model.predict(this.trainingData.X_test);
-    const [predictionsArray, labelsArray] = await Promise.all([
-      predictionTensor.array(),
-      this.trainingData.y_test.array(),
-    ]);
-
-    predictionTensor.dispose();
+    const { predictionsArray, labelsArray } = await this.predictTestSet(this.trainingData);
 
     const metrics = this.model.analysePredictions(
       predictionsArray,
@@ -272,32 +2061,563 @@ class StockPredictionApp {
       this.trainingData.predictionDays,
     );
 
-    const testSampleDates = this.trainingData.sampleDates.slice(this.trainingData.splitIndex);
+    this.setStatus('Scoring baselines on the same split…');
+    metrics.baselines = await evaluateBaselines(this.trainingData);
 
-    this.renderAccuracyChart(metrics.perStockAccuracy);
-    this.renderAccuracyTable(metrics.perStockAccuracy, metrics.perStockConfusion);
-    this.renderTimelines(metrics.perStockTimeline, testSampleDates);
-    this.renderConfusion(metrics.perStockConfusion);
+    const testSampleDates = this.trainingData.sampleDates.slice(this.trainingData.splitIndex);
+    this.renderEvaluation(metrics, testSampleDates);
+    this.testPredictions = predictionsArray;
+    this.runBacktest();
 
     const sortedStocks = Object.entries(metrics.perStockAccuracy).sort((a, b) => b[1] - a[1]);
     const [topSymbol, topAccuracy] = sortedStocks[0] || ['—', 0];
-    const overallText = `Overall accuracy ${(metrics.overallAccuracy * 100).toFixed(2)}% on test split.`;
+    let overallText = `Overall accuracy ${(metrics.overallAccuracy * 100).toFixed(2)}% on test split.`;
+    if (metrics.interval) {
+      overallText = `Interval coverage ${formatReturn(metrics.interval.coverage)} (nominal ${formatReturn(metrics.interval.nominal)}) · mean width ${formatReturn(metrics.interval.width)} · median MAE ${formatReturn(metrics.overallError.mae)} on test split.`;
+    } else if (metrics.task === 'regression') {
+      overallText = `Directional accuracy ${(metrics.overallAccuracy * 100).toFixed(2)}% · MAE ${formatReturn(metrics.overallError.mae)} · RMSE ${formatReturn(metrics.overallError.rmse)} on test split.`;
+    }
     const topText = `Top-1 ${topSymbol} ${(topAccuracy * 100).toFixed(2)}%`;
+    const [bestBaseline] = BASELINES
+      .map(({ key, label }) => ({ label, accuracy: metrics.baselines[key].overallAccuracy }))
+      .sort((a, b) => b.accuracy - a.accuracy);
+    const baselineText = `· best baseline ${bestBaseline.label} ${(bestBaseline.accuracy * 100).toFixed(2)}%`;
+
+    this.setStatus('Evaluation complete.', `${overallText} ${topText} ${baselineText}`);
+    return metrics;
+  }
+
+  renderEvaluation(metrics, testSampleDates) {
+    this.renderAccuracyChart(metrics.perStockAccuracy, metrics.baselines);
+    this.renderAccuracyTable(
+      metrics.perStockAccuracy,
+      metrics.perStockConfusion,
+      metrics.classes,
+      metrics.perStockError,
+      metrics.baselines,
+      metrics.classification,
+    );
+    this.renderHorizonMetrics(metrics.classification);
+    this.renderTimelines(metrics.perStockTimeline, testSampleDates, metrics.classes);
+    this.renderConfusion(metrics.perStockConfusion, metrics.classes);
+    this.renderRocCurves(metrics.classification);
+    this.renderRegression(metrics);
+    this.renderQuantiles(metrics, testSampleDates);
+  }
+
+  renderQuantiles(metrics, testSampleDates) {
+    this.dom.fanPanel.hidden = !metrics.interval;
+    this.quantileForecasts = metrics.interval ? { metrics, dates: testSampleDates } : null;
+    if (!metrics.interval) {
+      this.renderFanCharts();
+      return;
+    }
+
+    const { interval } = metrics;
+    const entries = [
+      { title: 'Quantiles', value: metrics.quantiles.map((level) => `${Math.round(level * 100)}%`).join(' / ') },
+      { title: 'Interval coverage', value: `${formatReturn(interval.coverage)} (nominal ${formatReturn(interval.nominal)})` },
+      { title: 'Mean interval width', value: formatReturn(interval.width) },
+      {
+        title: 'Calibration (observed ≤ quantile)',
+        value: interval.calibration.map(({ level, observed }) => `${Math.round(level * 100)}%: ${formatReturn(observed)}`).join(' · '),
+      },
+    ];
+    entries.forEach(({ title, value }) => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      card.innerHTML = `<h3>${title}</h3><p>${value}</p>`;
+      this.dom.regressionSummary.appendChild(card);
+    });
+
+    const { fanHorizonSelect } = this.dom;
+    const previous = fanHorizonSelect.value;
+    const days = Object.values(metrics.perStockFan)[0]?.length ?? 0;
+    fanHorizonSelect.innerHTML = '';
+    for (let day = 1; day <= days; day += 1) {
+      fanHorizonSelect.appendChild(new Option(`D+${day}`, String(day - 1)));
+    }
+    if (Number.parseInt(previous, 10) < days) {
+      fanHorizonSelect.value = previous;
+    }
+    this.renderFanCharts();
+  }
+
+  renderFanCharts() {
+    this.fanCharts.forEach((chart) => chart.destroy());
+    this.fanCharts = [];
+    this.dom.fanContainer.innerHTML = '';
+    if (!this.quantileForecasts) {
+      return;
+    }
+
+    const { metrics, dates } = this.quantileForecasts;
+    const day = Number.parseInt(this.dom.fanHorizonSelect.value, 10) || 0;
+    const { quantiles } = metrics;
+    const middle = (quantiles.length - 1) / 2;
+
+    Object.entries(metrics.perStockFan).forEach(([symbol, fan]) => {
+      const card = document.createElement('div');
+      card.className = 'scatter-card';
+      const { coverage, width } = metrics.perStockInterval[symbol];
+      card.innerHTML = `<h4>${symbol} · coverage ${formatReturn(coverage)} · width ${formatReturn(width)}</h4>`;
+      const canvas = document.createElement('canvas');
+      card.appendChild(canvas);
+      this.dom.fanContainer.appendChild(card);
+
+      const samples = fan[day];
+      // Each quantile line fills down to the previous one; inner bands are darker.
+      const bands = quantiles.map((level, index) => ({
+        label: `${Math.round(level * 100)}%`,
+        data: samples.map((sample) => sample.quantiles[index] * 100),
+        borderColor: 'rgba(59, 130, 246, 0.6)',
+        borderWidth: index === Math.round(middle) ? 1.5 : 0.5,
+        backgroundColor: `rgba(59, 130, 246, ${0.1 + 0.1 * Math.min(index, quantiles.length - index)})`,
+        pointRadius: 0,
+        fill: index === 0 ? false : '-1',
+      }));
+
+      this.fanCharts.push(new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: dates.slice(0, samples.length),
+          datasets: [
+            ...bands,
+            {
+              label: 'Actual',
+              data: samples.map((sample) => (sample.actual === null ? null : sample.actual * 100)),
+              borderColor: 'rgba(15, 23, 42, 0.85)',
+              borderWidth: 1.2,
+              pointRadius: 0,
+              fill: false,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          scales: {
+            x: { ticks: { maxTicksLimit: 6 } },
+            y: { title: { display: true, text: `D+${day + 1} return (%)` } },
+          },
+          plugins: {
+            legend: { display: false },
+          },
+        },
+      }));
+    });
+  }
+
+  renderRegression(metrics) {
+    this.scatterCharts.forEach((chart) => chart.destroy());
+    this.scatterCharts = [];
+    this.dom.scatterContainer.innerHTML = '';
+    this.dom.regressionSummary.innerHTML = '';
+    this.dom.regressionSection.hidden = metrics.task !== 'regression';
+    if (metrics.task !== 'regression') {
+      return;
+    }
+
+    const { overallError, perStockError } = metrics;
+    const ranked = Object.entries(perStockError).sort((a, b) => a[1].mae - b[1].mae);
+    const entries = [
+      { title: 'MAE', value: formatReturn(overallError.mae) },
+      { title: 'RMSE', value: formatReturn(overallError.rmse) },
+      { title: 'Directional accuracy', value: `${(metrics.overallAccuracy * 100).toFixed(2)}%` },
+      { title: 'Lowest MAE', value: ranked.length > 0 ? `${ranked[0][0]} ${formatReturn(ranked[0][1].mae)}` : '—' },
+      { title: 'Symbol-days scored', value: overallError.count },
+    ];
+    entries.forEach(({ title, value }) => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      card.innerHTML = `<h3>${title}</h3><p>${value}</p>`;
+      this.dom.regressionSummary.appendChild(card);
+    });
+
+    Object.entries(metrics.perStockScatter).forEach(([symbol, points]) => {
+      const card = document.createElement('div');
+      card.className = 'scatter-card';
+      const { mae, rmse } = perStockError[symbol];
+      card.innerHTML = `<h4>${symbol} · MAE ${formatReturn(mae)} · RMSE ${formatReturn(rmse)}</h4>`;
+      const canvas = document.createElement('canvas');
+      card.appendChild(canvas);
+      this.dom.scatterContainer.appendChild(card);
+
+      const values = points.flatMap(({ x, y }) => [x, y]);
+      const limit = values.length > 0 ? Math.max(...values.map(Math.abs)) : 0.05;
+      this.scatterCharts.push(new Chart(canvas.getContext('2d'), {
+        type: 'scatter',
+        data: {
+          datasets: [
+            {
+              label: 'Test symbol-days',
+              data: points.map(({ x, y }) => ({ x: x * 100, y: y * 100 })),
+              backgroundColor: 'rgba(59, 130, 246, 0.55)',
+              pointRadius: 2.5,
+            },
+            {
+              type: 'line',
+              label: 'Perfect forecast',
+              data: [{ x: -limit * 100, y: -limit * 100 }, { x: limit * 100, y: limit * 100 }],
+              borderColor: 'rgba(15, 23, 42, 0.45)',
+              borderDash: [6, 4],
+              borderWidth: 1,
+              pointRadius: 0,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          scales: {
+            x: { title: { display: true, text: 'Actual return (%)' } },
+            y: { title: { display: true, text: 'Predicted return (%)' } },
+          },
+          plugins: {
+            legend: { display: false },
+          },
+        },
+      }));
+    });
+  }
+
+  async runWalkForward(options) {
+    const folds = Number.parseInt(this.dom.foldInput.value, 10) || 5;
+    const windowMode = this.dom.windowModeSelect.value;
+    const plan = this.dataLoader.planWalkForwardFolds({ folds, windowMode });
+    const { symbols, predictionDays } = this.trainingData;
+
+    const foldResults = [];
+    const pooledPredictions = [];
+    const pooledLabels = [];
+    const pooledDates = [];
+
+    for (let i = 0; i < plan.length; i += 1) {
+      const foldData = this.dataLoader.createFoldDataset(plan[i]);
+
+      try {
+        await this.fitModel(foldData, { ...options, label: `Fold ${foldData.fold}/${plan.length} · epoch` });
+        this.setStatus(`Evaluating fold ${foldData.fold}/${plan.length}…`);
+
+        const { predictionsArray, labelsArray } = await this.predictTestSet(foldData);
+        const metrics = this.model.analysePredictions(predictionsArray, labelsArray, symbols, predictionDays);
+
+        foldResults.push({
+          fold: foldData.fold,
+          trainDates: foldData.trainDates,
+          testDates: foldData.testDates,
+          dropped: foldData.purgedSamples + foldData.embargoedSamples,
+          metrics,
+        });
+        pooledPredictions.push(...predictionsArray);
+        pooledLabels.push(...labelsArray);
+        pooledDates.push(...foldData.testDates);
+      } finally {
+        // Fold models never see the most recent data, so none is offered for forecasting
+        // or saving; handleTrain disposes the last one once the run is recorded.
+        this.modelScaler = null;
+        ['X_train', 'X_test', 'y_train', 'y_test'].forEach((key) => foldData[key].dispose());
+      }
+    }
+
+    const pooled = this.model.analysePredictions(pooledPredictions, pooledLabels, symbols, predictionDays);
+    this.renderEvaluation(pooled, pooledDates);
+    const summary = this.renderWalkForward(foldResults, pooled, windowMode);
+
+    this.setStatus(
+      'Walk-forward evaluation complete.',
+      `Mean fold accuracy ${(summary.mean * 100).toFixed(2)}% ± ${(summary.std * 100).toFixed(2)}% over ${foldResults.length} ${windowMode} folds · pooled ${(pooled.overallAccuracy * 100).toFixed(2)}%. Fold models were discarded; train on a single split to forecast or save a model.`,
+    );
+    return pooled;
+  }
+
+  async runAblation(options) {
+    const unit = this.dom.ablationUnitSelect.value;
+    const { symbols, predictionDays, featuresPerSymbol } = this.trainingData;
+    const required = this.dataLoader.requiredFeatures();
+    const ablatable = featuresPerSymbol.filter((name) => !required.includes(name));
+    const candidates = unit === 'group'
+      ? Array.from(this.dataLoader.features.groupsOf(ablatable), ([label, removed]) => ({ label, removed }))
+      : ablatable.map((name) => ({ label: name, removed: [name] }));
+    const variants = candidates.filter(({ removed }) => removed.length < ablatable.length);
+    if (variants.length === 0) {
+      throw new Error(`Ablation needs at least two ${unit === 'group' ? 'feature groups' : 'features'}.`);
+    }
+
+    const runs = variants.length + 1;
+    await this.fitModel(this.trainingData, { ...options, label: `Run 1/${runs} (full set) · epoch` });
+    const full = await this.predictTestSet(this.trainingData);
+    const baseline = this.model.analysePredictions(full.predictionsArray, full.labelsArray, symbols, predictionDays);
+    this.renderEvaluation(baseline, this.trainingData.sampleDates.slice(this.trainingData.splitIndex));
+
+    const results = [];
+    for (let i = 0; i < variants.length; i += 1) {
+      const { label, removed } = variants[i];
+      const kept = featuresPerSymbol.filter((name) => !removed.includes(name));
+      const dataset = this.dataLoader.createFeatureSubsetDataset(kept);
+      const model = this.createModel(dataset);
+
+      try {
+        await this.fitModel(dataset, { ...options, label: `Run ${i + 2}/${runs} (without ${label}) · epoch`, model });
+        this.setStatus(`Evaluating run ${i + 2}/${runs}…`);
+
+        const { predictionsArray, labelsArray } = await this.predictTestSet(dataset, model);
+        results.push({
+          label,
+          removed,
+          metrics: model.analysePredictions(predictionsArray, labelsArray, symbols, predictionDays),
+        });
+      } finally {
+        model.dispose();
+        ['X_train', 'X_test', 'y_train', 'y_test'].forEach((key) => dataset[key].dispose());
+      }
+    }
+
+    const ranked = this.renderAblation(baseline, results, symbols);
+    const [mostImportant] = ranked;
+    this.setStatus(
+      'Feature ablation complete.',
+      `Full set ${(baseline.overallAccuracy * 100).toFixed(2)}% · removing ${mostImportant.label} changes accuracy by ${formatDelta(mostImportant.delta)} pp.`,
+    );
+    return baseline;
+  }
+
+  renderAblation(baseline, results, symbols) {
+    const ranked = results
+      .map((result) => ({ ...result, delta: result.metrics.overallAccuracy - baseline.overallAccuracy }))
+      .sort((a, b) => a.delta - b.delta);
+
+    const { ablationTableHead, ablationTableBody, ablationSummary } = this.dom;
+    ablationTableHead.innerHTML = '';
+    ablationTableBody.innerHTML = '';
+
+    const headRow = document.createElement('tr');
+    ['Removed', 'Features left', 'Overall accuracy', 'Δ overall', ...symbols.map((symbol) => `Δ ${symbol}`)]
+      .forEach((title) => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = title;
+        headRow.appendChild(cell);
+      });
+    ablationTableHead.appendChild(headRow);
+
+    const appendRow = (cells) => {
+      const row = document.createElement('tr');
+      cells.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      ablationTableBody.appendChild(row);
+    };
 
-    this.setStatus('Evaluation complete.', `${overallText} ${topText}`);
+    const featureCount = this.trainingData.featuresPerSymbol.length;
+    appendRow([
+      'None (full set)',
+      featureCount,
+      `${(baseline.overallAccuracy * 100).toFixed(2)}%`,
+      '—',
+      ...symbols.map((symbol) => `${(baseline.perStockAccuracy[symbol] * 100).toFixed(1)}%`),
+    ]);
+    ranked.forEach(({
+      label,
+      removed,
+      metrics,
+      delta,
+    }) => {
+      appendRow([
+        removed.length > 1 ? `${label} (${removed.join(', ')})` : label,
+        featureCount - removed.length,
+        `${(metrics.overallAccuracy * 100).toFixed(2)}%`,
+        formatDelta(delta),
+        ...symbols.map((symbol) => formatDelta(metrics.perStockAccuracy[symbol] - baseline.perStockAccuracy[symbol])),
+      ]);
+    });
+
+    const mostImportant = ranked[0];
+    const leastUseful = ranked[ranked.length - 1];
+    const entries = [
+      { title: 'Full-set accuracy', value: `${(baseline.overallAccuracy * 100).toFixed(2)}%` },
+      { title: 'Ablation runs', value: ranked.length },
+      { title: 'Most useful', value: `${mostImportant.label} (${formatDelta(mostImportant.delta)} pp)` },
+      { title: 'Least useful', value: `${leastUseful.label} (${formatDelta(leastUseful.delta)} pp)` },
+    ];
+
+    ablationSummary.innerHTML = '';
+    entries.forEach(({ title, value }) => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      card.innerHTML = `<h3>${title}</h3><p>${value}</p>`;
+      ablationSummary.appendChild(card);
+    });
+
+    return ranked;
   }
 
-  renderAccuracyChart(perStockAccuracy) {
+  renderWalkForward(foldResults, pooled, windowMode) {
+    const accuracies = foldResults.map(({ metrics }) => metrics.overallAccuracy);
+    const mean = accuracies.reduce((acc, value) => acc + value, 0) / accuracies.length;
+    const std = Math.sqrt(accuracies.reduce((acc, value) => acc + (value - mean) ** 2, 0) / accuracies.length);
+
+    this.dom.walkForwardSection.hidden = false;
+    this.dom.walkForwardTableBody.innerHTML = '';
+
+    foldResults.forEach(({
+      fold,
+      trainDates,
+      testDates,
+      dropped,
+      metrics,
+    }) => {
+      const [bestSymbol, bestAccuracy] = Object.entries(metrics.perStockAccuracy)
+        .sort((a, b) => b[1] - a[1])[0] || ['—', 0];
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${fold}</td>
+        <td>${trainDates[0]} → ${trainDates[trainDates.length - 1]} (${trainDates.length}${dropped ? `, ${dropped} dropped` : ''})</td>
+        <td>${testDates[0]} → ${testDates[testDates.length - 1]} (${testDates.length})</td>
+        <td>${(metrics.overallAccuracy * 100).toFixed(2)}%</td>
+        <td>${bestSymbol} ${(bestAccuracy * 100).toFixed(2)}%</td>
+      `;
+      this.dom.walkForwardTableBody.appendChild(row);
+    });
+
+    const entries = [
+      { title: 'Folds', value: `${foldResults.length} (${windowMode})` },
+      { title: 'Mean fold accuracy', value: `${(mean * 100).toFixed(2)}%` },
+      { title: 'Fold std. dev.', value: `${(std * 100).toFixed(2)}%` },
+      { title: 'Worst fold', value: `${(Math.min(...accuracies) * 100).toFixed(2)}%` },
+      { title: 'Best fold', value: `${(Math.max(...accuracies) * 100).toFixed(2)}%` },
+      { title: 'Pooled accuracy', value: `${(pooled.overallAccuracy * 100).toFixed(2)}%` },
+    ];
+
+    this.dom.walkForwardSummary.innerHTML = '';
+    entries.forEach(({ title, value }) => {
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+      card.innerHTML = `<h3>${title}</h3><p>${value}</p>`;
+      this.dom.walkForwardSummary.appendChild(card);
+    });
+
+    return { mean, std };
+  }
+
+  // Baselines appear as vertical reference lines at their overall accuracy.
+  renderAccuracyChart(perStockAccuracy, baselines = null) {
     const sorted = Object.entries(perStockAccuracy).sort((a, b) => b[1] - a[1]);
+    const { datasets } = this.accuracyChart.data;
     this.accuracyChart.data.labels = sorted.map(([symbol]) => symbol);
-    this.accuracyChart.data.datasets[0].data = sorted.map(([, value]) => Number((value * 100).toFixed(2)));
+    datasets[0].data = sorted.map(([, value]) => Number((value * 100).toFixed(2)));
+    datasets.length = 1;
+
+    if (baselines) {
+      BASELINES.forEach(({ key, label }) => {
+        const accuracy = Number((baselines[key].overallAccuracy * 100).toFixed(2));
+        datasets.push({
+          type: 'line',
+          label: `${label} (${accuracy}%)`,
+          data: sorted.map(() => accuracy),
+          borderColor: BASELINE_COLOURS[key],
+          borderDash: [6, 4],
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: false,
+        });
+      });
+    }
+    this.accuracyChart.options.plugins.legend.display = Boolean(baselines);
     this.accuracyChart.update();
   }
 
-  renderAccuracyTable(perStockAccuracy, confusion) {
+  renderAccuracyTable(
+    perStockAccuracy,
+    confusion,
+    classes = 2,
+    errors = null,
+    baselines = null,
+    classification = null,
+  ) {
+    const names = CLASS_NAMES[classes];
+    if (errors) {
+      this.dom.signalsHeader.textContent = 'Error (MAE / RMSE)';
+    } else {
+      this.dom.signalsHeader.textContent = classes === 2
+        ? 'Signals (TP / FP / FN / TN)'
+        : `Predicted (${names.join(' / ')})`;
+    }
+
+    this.rankedPerformance = {
+      perStockAccuracy,
+      confusion,
+      classes,
+      errors,
+      baselines,
+      classification,
+    };
+    if (!classification && !['symbol', 'accuracy'].includes(this.accuracySort.key)) {
+      this.accuracySort = { key: 'accuracy', direction: 'descending' };
+    }
+
+    this.renderMetricHeaders(classification);
+    this.renderBaselineHeaders(baselines);
+    this.renderAccuracyRows();
+    this.renderAccuracyFooter();
+  }
+
+  sortAccuracyTable(key) {
+    if (!this.rankedPerformance) {
+      return;
+    }
+
+    const { key: current, direction } = this.accuracySort;
+    let next = 'descending';
+    if (key === current) {
+      next = direction === 'ascending' ? 'descending' : 'ascending';
+    } else if (key === 'symbol' || CLASSIFICATION_METRICS.find((metric) => metric.key === key)?.lowerIsBetter) {
+      next = 'ascending';
+    }
+    this.accuracySort = { key, direction: next };
+    this.renderAccuracyRows();
+  }
+
+  // Rank follows the active sort; symbols without a value for the sort column go last.
+  renderAccuracyRows() {
+    const {
+      perStockAccuracy,
+      confusion,
+      classes,
+      errors,
+      baselines,
+      classification,
+    } = this.rankedPerformance;
+    const { key, direction } = this.accuracySort;
+
+    this.dom.accuracyTableHead.querySelectorAll('th[data-sort]').forEach((cell) => {
+      if (cell.dataset.sort === key) {
+        cell.setAttribute('aria-sort', direction);
+      } else {
+        cell.removeAttribute('aria-sort');
+      }
+    });
+
+    const sortValue = ({ symbol, accuracy }) => {
+      if (key === 'symbol') {
+        return symbol;
+      }
+      if (key === 'accuracy') {
+        return accuracy;
+      }
+      return classification?.perSymbol[symbol]?.[key] ?? null;
+    };
     const sorted = Object.entries(perStockAccuracy)
       .map(([symbol, accuracy]) => ({ symbol, accuracy, confusion: confusion[symbol] }))
-      .sort((a, b) => b.accuracy - a.accuracy);
+      .sort((a, b) => {
+        const left = sortValue(a);
+        const right = sortValue(b);
+        if (left === null || right === null) {
+          return (left === null) - (right === null);
+        }
+        const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+        return direction === 'ascending' ? order : -order;
+      });
 
     this.dom.accuracyTableBody.innerHTML = '';
 
@@ -305,19 +2625,132 @@ class StockPredictionApp {
       const row = document.createElement('tr');
       const accuracyPct = (accuracy * 100).toFixed(2);
       const tagClass = accuracy >= 0.66 ? 'success' : accuracy >= 0.45 ? 'warning' : 'danger';
+      const baselineCells = baselines
+        ? BASELINES.map(({ key: baselineKey }) => {
+          const reference = baselines[baselineKey].perStockAccuracy[symbol];
+          const beaten = accuracy > reference ? '' : ' class="baseline-ahead"';
+          return `<td${beaten}>${(reference * 100).toFixed(2)}%</td>`;
+        }).join('')
+        : '';
 
       row.innerHTML = `
         <td>${index + 1}</td>
         <td>${symbol}</td>
         <td><span class="tag ${tagClass}">${accuracyPct}%</span></td>
-        <td>${conf.tp} / ${conf.fp} / ${conf.fn} / ${conf.tn}</td>
+        <td>${describeSignals(symbol, conf, classes, errors)}</td>
+        ${classification ? metricCells(classification.perSymbol[symbol]) : ''}
+        ${baselineCells}
       `;
 
       this.dom.accuracyTableBody.appendChild(row);
     });
   }
 
-  renderTimelines(perStockTimeline, sampleDates) {
+  renderAccuracyFooter() {
+    const foot = this.dom.accuracyTableFoot;
+    foot.innerHTML = '';
+    const { classes, baselines, classification } = this.rankedPerformance ?? {};
+    if (!classification) {
+      return;
+    }
+
+    const mean = (values) => values.reduce((acc, value) => acc + value, 0) / values.length;
+    const { micro, macro } = classification;
+    const rows = [
+      {
+        label: 'Macro average',
+        stats: macro,
+        signals: '—',
+        baseline: (key) => mean(Object.values(baselines[key].perStockAccuracy)),
+      },
+      {
+        label: 'Micro (pooled)',
+        stats: micro,
+        signals: classes === 2 ? `${micro.tp} / ${micro.fp} / ${micro.fn} / ${micro.tn}` : '—',
+        baseline: (key) => baselines[key].overallAccuracy,
+      },
+    ];
+
+    rows.forEach(({ label, stats, signals, baseline }) => {
+      const row = document.createElement('tr');
+      const baselineCells = baselines
+        ? BASELINES.map(({ key }) => `<td>${(baseline(key) * 100).toFixed(2)}%</td>`).join('')
+        : '';
+      row.innerHTML = `
+        <td></td>
+        <th scope="row">${label}</th>
+        <td>${stats.accuracy === null ? '—' : `${(stats.accuracy * 100).toFixed(2)}%`}</td>
+        <td>${signals}</td>
+        ${metricCells(stats)}
+        ${baselineCells}
+      `;
+      foot.appendChild(row);
+    });
+  }
+
+  renderMetricHeaders(classification) {
+    const head = this.dom.accuracyTableHead;
+    head.querySelectorAll('.metric-column').forEach((cell) => cell.remove());
+    if (!classification) {
+      return;
+    }
+
+    CLASSIFICATION_METRICS.forEach(({ key, label }) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.className = 'metric-column';
+      cell.dataset.sort = key;
+      cell.textContent = label;
+      head.appendChild(cell);
+    });
+  }
+
+  renderHorizonMetrics(classification) {
+    const { horizonPanel, horizonTableHead, horizonTableBody } = this.dom;
+    horizonPanel.hidden = !classification;
+    horizonTableHead.innerHTML = '';
+    horizonTableBody.innerHTML = '';
+    if (!classification) {
+      return;
+    }
+
+    ['Horizon', 'Symbol-days', 'Accuracy', ...CLASSIFICATION_METRICS.map(({ label }) => label)].forEach((title) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.textContent = title;
+      horizonTableHead.appendChild(cell);
+    });
+
+    classification.perDay.forEach((stats, day) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <th scope="row">D+${day + 1}</th>
+        <td>${stats.count}</td>
+        <td>${(stats.accuracy * 100).toFixed(2)}%</td>
+        ${metricCells(stats)}
+      `;
+      horizonTableBody.appendChild(row);
+    });
+  }
+
+  renderBaselineHeaders(baselines) {
+    const head = this.dom.accuracyTableHead;
+    head.querySelectorAll('.baseline-column').forEach((cell) => cell.remove());
+    if (!baselines) {
+      return;
+    }
+
+    BASELINES.forEach(({ label }) => {
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.className = 'baseline-column';
+      cell.textContent = label;
+      head.appendChild(cell);
+    });
+  }
+
+  renderTimelines(perStockTimeline, sampleDates, classes = 2) {
+    const arrows = CLASS_ARROWS[classes];
     const container = this.dom.timelineContainer;
     container.innerHTML = '';
 
@@ -339,11 +2772,26 @@ class StockPredictionApp {
         const { correctCount, total, perDayFlags } = item;
         const isPerfect = correctCount === total;
         const isZero = correctCount === 0;
-        cell.classList.add(isPerfect ? 'correct' : isZero ? 'incorrect' : 'partial');
+        if (total === 0) {
+          cell.classList.add('masked');
+        } else {
+          cell.classList.add(isPerfect ? 'correct' : isZero ? 'incorrect' : 'partial');
+        }
 
         const date = sampleDates[index] ?? `Sample ${index + 1}`;
         const breakdown = perDayFlags
-          .map((flag, idx) => `D+${idx + 1}: ${flag.predicted === 1 ? '↑' : '↓'} (actual ${flag.actual === 1 ? '↑' : '↓'})`)
+          .map((flag, idx) => {
+            const predicted = flag.predictedReturn === undefined
+              ? arrows[flag.predicted]
+              : `${arrows[flag.predicted]} ${formatReturn(flag.predictedReturn)}`;
+            if (flag.masked) {
+              return `D+${idx + 1}: ${predicted} (no data)`;
+            }
+            const actual = flag.actualReturn === undefined
+              ? arrows[flag.actual]
+              : `${arrows[flag.actual]} ${formatReturn(flag.actualReturn)}`;
+            return `D+${idx + 1}: ${predicted} (actual ${actual})`;
+          })
           .join(' • ');
         cell.dataset.tooltip = `${date}\n${correctCount}/${total} correct\n${breakdown}`;
 
@@ -356,13 +2804,29 @@ class StockPredictionApp {
     });
   }
 
-  renderConfusion(perStockConfusion) {
+  renderConfusion(perStockConfusion, classes = 2) {
     const container = this.dom.confusionContainer;
     container.innerHTML = '';
+    const names = CLASS_NAMES[classes];
 
     Object.entries(perStockConfusion).forEach(([symbol, conf]) => {
       const card = document.createElement('div');
       card.className = 'confusion-card';
+      if (classes > 2) {
+        const rows = conf.matrix
+          .map((counts, actual) => `<tr><th scope="row">${names[actual]}</th>${counts.map((count) => `<td>${count}</td>`).join('')}</tr>`)
+          .join('');
+        card.innerHTML = `
+          <h4>${symbol}</h4>
+          <table class="confusion-matrix">
+            <thead><tr><th scope="col">Actual / predicted</th>${names.map((name) => `<th scope="col">${name}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        `;
+        container.appendChild(card);
+        return;
+      }
+
       card.innerHTML = `
         <h4>${symbol}</h4>
         <ul>
@@ -376,18 +2840,84 @@ class StockPredictionApp {
     });
   }
 
+  renderRocCurves(classification) {
+    this.rocCharts.forEach((chart) => chart.destroy());
+    this.rocCharts = [];
+    this.dom.rocContainer.innerHTML = '';
+    this.dom.rocPanel.hidden = !classification;
+    if (!classification) {
+      return;
+    }
+
+    Object.entries(classification.perSymbol).forEach(([symbol, stats]) => {
+      const card = document.createElement('div');
+      card.className = 'scatter-card';
+      card.innerHTML = `<h4>${symbol} · ROC-AUC ${formatMetric(stats.rocAuc)} · PR-AUC ${formatMetric(stats.prAuc)}</h4>`;
+      this.dom.rocContainer.appendChild(card);
+      if (stats.roc.length === 0) {
+        card.insertAdjacentHTML('beforeend', '<p class="note">Only one class occurs in the test split, so there is no curve.</p>');
+        return;
+      }
+
+      const canvas = document.createElement('canvas');
+      card.appendChild(canvas);
+      this.rocCharts.push(new Chart(canvas.getContext('2d'), {
+        type: 'scatter',
+        data: {
+          datasets: [
+            {
+              label: 'ROC',
+              data: stats.roc,
+              showLine: true,
+              borderColor: 'rgba(59, 130, 246, 0.9)',
+              backgroundColor: 'rgba(59, 130, 246, 0.9)',
+              borderWidth: 1.5,
+              pointRadius: 0,
+            },
+            {
+              type: 'line',
+              label: 'Chance',
+              data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+              borderColor: 'rgba(15, 23, 42, 0.45)',
+              borderDash: [6, 4],
+              borderWidth: 1,
+              pointRadius: 0,
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          scales: {
+            x: { min: 0, max: 1, title: { display: true, text: 'False positive rate' } },
+            y: { min: 0, max: 1, title: { display: true, text: 'True positive rate' } },
+          },
+          plugins: {
+            legend: { display: false },
+          },
+        },
+      }));
+    });
+  }
+
   handleError(error) {
     this.setStatus('Something went wrong.', error.message || String(error));
     this.setTrainButtonEnabled(false);
   }
 
   resetApplicationState() {
+    this.loadController?.abort();
+    this.closeMappingWizard(null);
     this.dataLoader.reset();
     this.disposeTrainingData();
     if (this.model) {
       this.model.dispose();
       this.model = null;
     }
+    this.modelScaler = null;
+    this.forecast = null;
+    this.renderForecast(null);
+    this.testPredictions = null;
+    this.renderBacktest(null);
 
     this.trainingData = null;
     this.setTrainButtonEnabled(false);
@@ -395,13 +2925,59 @@ class StockPredictionApp {
     this.dom.statusDetail.textContent = '';
     this.dom.datasetSummary.hidden = true;
     this.dom.datasetSummary.innerHTML = '';
+    this.dom.mergeReport.hidden = true;
+    this.dom.mergeReport.innerHTML = '';
+    this.qualityReport = null;
+    this.dom.qualitySection.hidden = true;
+    this.dom.qualitySummary.innerHTML = '';
+    this.dom.qualityTableBody.innerHTML = '';
+    this.dom.qualityIssues.innerHTML = '';
     this.dom.accuracyTableBody.innerHTML = '';
+    this.dom.signalsHeader.textContent = 'Signals (TP / FP / FN / TN)';
+    this.rankedPerformance = null;
+    this.renderAccuracyFooter();
+    this.renderMetricHeaders(null);
+    this.renderHorizonMetrics(null);
+    this.renderRocCurves(null);
     this.dom.timelineContainer.innerHTML = '';
     this.dom.confusionContainer.innerHTML = '';
+    this.scatterCharts.forEach((chart) => chart.destroy());
+    this.scatterCharts = [];
+    this.dom.scatterContainer.innerHTML = '';
+    this.dom.regressionSummary.innerHTML = '';
+    this.dom.regressionSection.hidden = true;
+    this.dom.layerSummary.hidden = true;
+    this.clearRunContext();
+    this.quantileForecasts = null;
+    this.renderFanCharts();
+    this.dom.fanPanel.hidden = true;
+    this.dom.walkForwardSection.hidden = true;
+    this.dom.walkForwardSummary.innerHTML = '';
+    this.dom.walkForwardTableBody.innerHTML = '';
+    this.dom.ablationSection.hidden = true;
+    this.dom.ablationSummary.innerHTML = '';
+    this.dom.ablationTableHead.innerHTML = '';
+    this.dom.ablationTableBody.innerHTML = '';
+    this.dom.featurePanel.hidden = true;
+    this.dom.featureGroups.innerHTML = '';
+    this.dataLoader.setFeatureSelection(null);
+    this.dataLoader.setSymbolSelection(null);
+    this.leadLagAnalysis = null;
+    this.dom.leadLagSection.hidden = true;
+    this.dom.leadLagHeatmap.innerHTML = '';
+    this.dom.subsetProposal.hidden = true;
+    this.dom.subsetProposal.innerHTML = '';
+    this.dom.useAllSymbolsBtn.hidden = true;
+    this.leadLagChart.data.labels = [];
+    this.leadLagChart.data.datasets[0].data = [];
+    this.leadLagChart.update();
 
     this.accuracyChart.data.labels = [];
     this.accuracyChart.data.datasets[0].data = [];
+    this.accuracyChart.data.datasets.length = 1;
+    this.accuracyChart.options.plugins.legend.display = false;
     this.accuracyChart.update();
+    this.renderBaselineHeaders(null);
 
     this.dom.fileInput.value = '';
   }
@@ -424,6 +3000,8 @@ class StockPredictionApp {
       return;
     }
 
+    this.dom.previewArchitectureBtn.disabled = !enabled;
+    this.updateModelButtons(enabled);
     if (enabled) {
       this.dom.trainBtn.disabled = false;
       this.dom.trainBtn.removeAttribute('disabled');
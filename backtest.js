@@ -0,0 +1,193 @@
+export const STRATEGIES = ['long-only', 'long-short', 'top-k'];
+
+const TRADING_DAYS = 252;
+
+// Collapses each D+1 prediction to a signed score: positive means "expect up".
+export function signalScores(predictionsArray, {
+  symbols,
+  predictionDays,
+  classes = 2,
+  task = 'classification',
+  quantiles = null,
+}) {
+  const median = quantiles
+    ? quantiles.reduce((best, level, index) => (
+      Math.abs(level - 0.5) < Math.abs(quantiles[best] - 0.5) ? index : best
+    ), 0)
+    : null;
+
+  return predictionsArray.map((row) => symbols.map((symbol, stockIdx) => {
+    const value = row[stockIdx * predictionDays];
+    if (quantiles) {
+      return value[median];
+    }
+    if (task === 'regression') {
+      return value;
+    }
+    return classes > 2 ? value[classes - 1] - value[0] : value - 0.5;
+  }));
+}
+
+function targetWeights(scores, strategy, topK) {
+  const count = scores.length;
+  if (strategy === 'top-k') {
+    const k = Math.min(count, topK);
+    const chosen = new Set(scores
+      .map((score, index) => ({ score, index }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(({ index }) => index));
+    return scores.map((_, index) => (chosen.has(index) ? 1 / k : 0));
+  }
+  if (strategy === 'long-short') {
+    return scores.map((score) => (score > 0 ? 1 / count : -1 / count));
+  }
+  return scores.map((score) => (score > 0 ? 1 / count : 0));
+}
+
+function summariseEquity(equity, spanDays) {
+  const periodReturns = equity.map((value, index) => value / (index === 0 ? 1 : equity[index - 1]) - 1);
+  const years = spanDays / TRADING_DAYS;
+  const final = equity[equity.length - 1];
+  const mean = periodReturns.reduce((acc, value) => acc + value, 0) / periodReturns.length;
+  const variance = periodReturns.reduce((acc, value) => acc + (value - mean) ** 2, 0) / periodReturns.length;
+  const periodsPerYear = periodReturns.length / years;
+
+  let peak = 1;
+  let maxDrawdown = 0;
+  equity.forEach((value) => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, 1 - value / peak);
+  });
+
+  return {
+    totalReturn: final - 1,
+    cagr: final > 0 && years > 0 ? final ** (1 / years) - 1 : -1,
+    sharpe: variance > 0 ? (mean / Math.sqrt(variance)) * Math.sqrt(periodsPerYear) : 0,
+    maxDrawdown,
+  };
+}
+
+// Positions are set from the signal at each test anchor, filled at the next open and
+// held until the next rebalance; the last one is closed at the following close.
+// Costs and slippage are charged in basis points of the notional traded.
+export function runBacktest({
+  scores,
+  anchors,
+  dates,
+  prices,
+  symbols,
+  strategy = 'long-only',
+  topK = 3,
+  costBps = 5,
+  slippageBps = 2,
+}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy: ${strategy}`);
+  }
+  if (!Number.isInteger(topK) || topK < 1) {
+    throw new Error('Top-k needs a whole number of at least 1.');
+  }
+  if (![costBps, slippageBps].every((value) => Number.isFinite(value) && value >= 0)) {
+    throw new Error('Costs and slippage must be non-negative basis points.');
+  }
+  if (anchors.length < 2 || scores.length !== anchors.length) {
+    throw new Error('The backtest needs test predictions for at least two dates.');
+  }
+
+  const frictionRate = (costBps + slippageBps) / 10000;
+  const entryIndex = (step) => anchors[step] + 1;
+  // Without an Open column the previous close stands in for the opening price.
+  const openPrice = (symbol, index) => {
+    const open = prices[symbol].Open[index];
+    return Number.isFinite(open) ? open : prices[symbol].Close[index - 1];
+  };
+  const periodReturn = (symbol, step) => {
+    const entry = openPrice(symbol, entryIndex(step));
+    const exit = step === anchors.length - 1
+      ? prices[symbol].Close[entryIndex(step)]
+      : openPrice(symbol, entryIndex(step + 1));
+    const move = exit / entry - 1;
+    return Number.isFinite(move) ? move : 0;
+  };
+
+  const strategyEquity = [];
+  const benchmarkEquity = [];
+  const curve = [];
+  let held = new Array(symbols.length).fill(0);
+  let strategyValue = 1;
+  let turnover = 0;
+  let costs = 0;
+  let hits = 0;
+  let positions = 0;
+  let benchmarkHits = 0;
+  let benchmarkValue = 1 - frictionRate;
+  const benchmarkHoldings = symbols.map(() => benchmarkValue / symbols.length);
+
+  anchors.forEach((anchor, step) => {
+    const target = targetWeights(scores[step], strategy, topK);
+    const traded = target.reduce((acc, weight, index) => acc + Math.abs(weight - held[index]), 0);
+    const cost = traded * frictionRate;
+    const moves = symbols.map((symbol) => periodReturn(symbol, step));
+    const gross = target.reduce((acc, weight, index) => acc + weight * moves[index], 0);
+    const net = gross - cost;
+
+    turnover += traded;
+    costs += cost * strategyValue;
+    strategyValue *= 1 + net;
+
+    target.forEach((weight, index) => {
+      if (weight !== 0) {
+        positions += 1;
+        hits += Math.sign(weight) === Math.sign(moves[index]) && moves[index] !== 0 ? 1 : 0;
+      }
+    });
+    // Weights drift with prices until the next rebalance.
+    const grossValue = 1 + gross;
+    held = target.map((weight, index) => (grossValue > 0 ? (weight * (1 + moves[index])) / grossValue : 0));
+
+    moves.forEach((move, index) => {
+      benchmarkHoldings[index] *= 1 + move;
+      benchmarkHits += move > 0 ? 1 : 0;
+    });
+    benchmarkValue = benchmarkHoldings.reduce((acc, value) => acc + value, 0);
+
+    strategyEquity.push(strategyValue);
+    benchmarkEquity.push(benchmarkValue);
+    curve.push({ date: dates[entryIndex(step)], strategy: strategyValue, benchmark: benchmarkValue });
+  });
+
+  // Closing out is traded like any other rebalance.
+  const exitTraded = held.reduce((acc, weight) => acc + Math.abs(weight), 0);
+  costs += exitTraded * frictionRate * strategyValue;
+  strategyValue *= 1 - exitTraded * frictionRate;
+  turnover += exitTraded;
+  benchmarkValue *= 1 - frictionRate;
+  strategyEquity[strategyEquity.length - 1] = strategyValue;
+  benchmarkEquity[benchmarkEquity.length - 1] = benchmarkValue;
+  curve[curve.length - 1] = { ...curve[curve.length - 1], strategy: strategyValue, benchmark: benchmarkValue };
+
+  const spanDays = entryIndex(anchors.length - 1) - entryIndex(0) + 1;
+  return {
+    strategy,
+    topK,
+    costBps,
+    slippageBps,
+    periods: anchors.length,
+    start: dates[entryIndex(0)],
+    end: dates[entryIndex(anchors.length - 1)],
+    curve,
+    strategyMetrics: {
+      ...summariseEquity(strategyEquity, spanDays),
+      turnover: turnover / anchors.length,
+      hitRate: positions === 0 ? 0 : hits / positions,
+      costs,
+    },
+    benchmarkMetrics: {
+      ...summariseEquity(benchmarkEquity, spanDays),
+      turnover: 2 / anchors.length,
+      hitRate: benchmarkHits / (anchors.length * symbols.length),
+      costs: frictionRate * (1 + benchmarkValue / (1 - frictionRate)),
+    },
+  };
+}
@@ -0,0 +1,167 @@
+import {
+  analyseClassPredictions,
+  maskedBinaryCrossentropy,
+  maskedCategoricalCrossentropy,
+} from './gru.js';
+
+const tf = globalThis.tf;
+
+export const BASELINES = [
+  { key: 'alwaysUp', label: 'Always up' },
+  { key: 'majority', label: 'Training majority' },
+  { key: 'persistence', label: 'Persistence' },
+  { key: 'momentum', label: 'Momentum' },
+  { key: 'logistic', label: 'Logistic regression' },
+];
+
+function argMax(values) {
+  return values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+}
+
+// Labels per symbol-day, with -1 for masked targets. Return targets are scored by
+// direction, like the regression model's directional accuracy.
+function decodeLabels(rows, target) {
+  return rows.map((row) => row.map((value) => {
+    if (target.task === 'regression') {
+      if (!Number.isFinite(value)) {
+        return -1;
+      }
+      return value > 0 ? 1 : 0;
+    }
+    if (Array.isArray(value)) {
+      return value.some((entry) => entry > 0) ? argMax(value) : -1;
+    }
+    return value;
+  }));
+}
+
+function encodeLabels(rows, classes) {
+  if (classes === 2) {
+    return rows;
+  }
+  return rows.map((row) => row.map((label) => (
+    Array.from({ length: classes }, (_, index) => (index === label ? 1 : 0))
+  )));
+}
+
+function majorityLabels(trainLabels, symbols, predictionDays, classes) {
+  const labels = [];
+  symbols.forEach((symbol, stockIdx) => {
+    const counts = new Array(classes).fill(0);
+    trainLabels.forEach((row) => {
+      for (let day = 0; day < predictionDays; day += 1) {
+        const label = row[stockIdx * predictionDays + day];
+        if (label >= 0) {
+          counts[label] += 1;
+        }
+      }
+    });
+    const majority = argMax(counts);
+    for (let day = 0; day < predictionDays; day += 1) {
+      labels.push(majority);
+    }
+  });
+  return labels;
+}
+
+function lastTimestep(X) {
+  return tf.tidy(() => {
+    const [samples, steps, features] = X.shape;
+    return X.slice([0, steps - 1, 0], [samples, 1, features]).reshape([samples, features]);
+  });
+}
+
+// One linear classifier per symbol-day on the most recent timestep of each window.
+async function fitLogisticRegression({
+  X_train,
+  X_test,
+  trainLabels,
+  classes,
+  epochs = 60,
+}) {
+  const xTrain = lastTimestep(X_train);
+  const xTest = lastTimestep(X_test);
+  const outputSize = trainLabels[0].length;
+  const yTrain = classes === 2
+    ? tf.tensor(trainLabels, [trainLabels.length, outputSize], 'float32')
+    : tf.tensor(encodeLabels(trainLabels, classes), [trainLabels.length, outputSize, classes], 'float32');
+
+  const model = tf.sequential();
+  const regularizer = tf.regularizers.l2({ l2: 1e-3 });
+  if (classes === 2) {
+    model.add(tf.layers.dense({
+      units: outputSize,
+      activation: 'sigmoid',
+      inputShape: [xTrain.shape[1]],
+      kernelRegularizer: regularizer,
+    }));
+  } else {
+    model.add(tf.layers.dense({
+      units: outputSize * classes,
+      inputShape: [xTrain.shape[1]],
+      kernelRegularizer: regularizer,
+    }));
+    model.add(tf.layers.reshape({ targetShape: [outputSize, classes] }));
+    model.add(tf.layers.softmax({ axis: -1 }));
+  }
+  const optimizer = tf.train.adam(0.01);
+  model.compile({
+    optimizer,
+    loss: classes === 2 ? maskedBinaryCrossentropy : maskedCategoricalCrossentropy,
+  });
+
+  try {
+    await model.fit(xTrain, yTrain, { epochs, batchSize: 256, shuffle: true, verbose: 0 });
+    const predictions = model.predict(xTest);
+    const values = await predictions.array();
+    predictions.dispose();
+    return values.map((row) => row.map((value) => (classes === 2 ? (value >= 0.5 ? 1 : 0) : argMax(value))));
+  } finally {
+    model.dispose();
+    optimizer.dispose();
+    xTrain.dispose();
+    xTest.dispose();
+    yTrain.dispose();
+  }
+}
+
+export async function evaluateBaselines({
+  X_train,
+  y_train,
+  X_test,
+  y_test,
+  referenceSignals,
+  symbols,
+  predictionDays,
+  target,
+}) {
+  const classes = target.task === 'regression' ? 2 : target.classes;
+  const trainLabels = decodeLabels(await y_train.array(), target);
+  const testLabels = decodeLabels(await y_test.array(), target);
+
+  const majority = majorityLabels(trainLabels, symbols, predictionDays, classes);
+  const predictions = {
+    alwaysUp: testLabels.map((row) => row.map(() => classes - 1)),
+    majority: testLabels.map(() => majority),
+    persistence: referenceSignals.persistence,
+    momentum: referenceSignals.momentum,
+    logistic: await fitLogisticRegression({
+      X_train,
+      X_test,
+      trainLabels,
+      classes,
+    }),
+  };
+
+  const truth = encodeLabels(testLabels, classes);
+  return Object.fromEntries(BASELINES.map(({ key }) => {
+    const { overallAccuracy, perStockAccuracy } = analyseClassPredictions(
+      encodeLabels(predictions[key], classes),
+      truth,
+      symbols,
+      predictionDays,
+      classes,
+    );
+    return [key, { overallAccuracy, perStockAccuracy }];
+  }));
+}
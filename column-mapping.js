@@ -0,0 +1,89 @@
+import { CANONICAL_COLUMNS, REQUIRED_COLUMNS } from './csv-parser.js';
+
+const STORAGE_KEY = 'stock-gru.column-mappings';
+
+const COLUMN_ALIASES = {
+  Date: ['date', 'timestamp', 'time', 'datetime', 'day', 'tradedate', 'tradingday', 'asof'],
+  Symbol: ['symbol', 'ticker', 'tickersymbol', 'code', 'instrument', 'asset', 'security', 'secid', 'name'],
+  Open: ['open', 'openprice', 'openingprice', 'priceopen', 'o'],
+  Close: ['close', 'closeprice', 'closingprice', 'priceclose', 'last', 'lastprice', 'c'],
+  High: ['high', 'highprice', 'pricehigh', 'dayhigh', 'h'],
+  Low: ['low', 'lowprice', 'pricelow', 'daylow', 'l'],
+  'Adj Close': ['adjclose', 'adjustedclose', 'adjcloseprice', 'adjustedcloseprice', 'closeadj'],
+  Volume: ['volume', 'vol', 'volumetraded', 'sharevolume', 'qty', 'v'],
+};
+
+function normaliseHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// One-letter aliases (o, c, h, l, v) double as real tickers, so format sniffing
+// can leave them out.
+export function guessColumnMapping(headers, { singleLetterAliases = true } = {}) {
+  const mapping = {};
+  const used = new Set();
+
+  CANONICAL_COLUMNS.forEach((column) => {
+    const aliases = COLUMN_ALIASES[column].filter((alias) => singleLetterAliases || alias.length > 1);
+    const match = headers.find((header) => !used.has(header) && aliases.includes(normaliseHeader(header)));
+    if (match) {
+      mapping[column] = match;
+      used.add(match);
+    }
+  });
+
+  return mapping;
+}
+
+export function validateColumnMapping(mapping, { requiredColumns = REQUIRED_COLUMNS } = {}) {
+  const missing = requiredColumns.filter((column) => !mapping[column]);
+  const assigned = Object.values(mapping).filter(Boolean);
+  const duplicates = assigned.filter((header, index) => assigned.indexOf(header) !== index);
+
+  return {
+    valid: missing.length === 0 && duplicates.length === 0,
+    missing,
+    duplicates: Array.from(new Set(duplicates)),
+  };
+}
+
+export function isIdentityMapping(mapping) {
+  return Object.entries(mapping).every(([column, header]) => column === header);
+}
+
+export function headerSignature(headers) {
+  return headers.map(normaliseHeader).join('|');
+}
+
+function readStore() {
+  try {
+    return JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.warn('Ignoring unreadable saved column mappings.', error);
+    return {};
+  }
+}
+
+export function loadSavedMapping(headers) {
+  const saved = readStore()[headerSignature(headers)];
+  if (!saved || typeof saved.columnMap !== 'object') {
+    return null;
+  }
+
+  const stillPresent = Object.values(saved.columnMap).every((header) => headers.includes(header));
+  return stillPresent ? saved : null;
+}
+
+export function saveMapping(headers, { delimiter, columnMap }) {
+  if (!globalThis.localStorage) {
+    return;
+  }
+
+  const store = readStore();
+  store[headerSignature(headers)] = { delimiter, columnMap };
+  try {
+    globalThis.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.warn('Unable to remember column mapping.', error);
+  }
+}
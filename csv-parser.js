@@ -0,0 +1,251 @@
+export const REQUIRED_COLUMNS = ['Date', 'Symbol', 'Open', 'Close'];
+
+export const OPTIONAL_COLUMNS = {
+  High: 'high',
+  Low: 'low',
+  'Adj Close': 'adjClose',
+  Volume: 'volume',
+};
+
+export const CANONICAL_COLUMNS = [...REQUIRED_COLUMNS, ...Object.keys(OPTIONAL_COLUMNS)];
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const MAX_SKIPPED_DETAILS = 500;
+
+export function parseCSVLine(line, delimiter = ',') {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  result.push(current.trim());
+  return result;
+}
+
+export function normaliseDateString(dateString) {
+  const trimmed = String(dateString).trim();
+  let value;
+  if (/^\d{13}$/.test(trimmed)) {
+    value = new Date(Number(trimmed));
+  } else if (/^\d{10}$/.test(trimmed)) {
+    value = new Date(Number(trimmed) * 1000);
+  } else {
+    value = new Date(trimmed);
+  }
+  if (Number.isNaN(value.getTime())) {
+    throw new Error(`Invalid date encountered: ${dateString}`);
+  }
+  return value.toISOString().slice(0, 10);
+}
+
+export function identityColumnMap(headers) {
+  return CANONICAL_COLUMNS.reduce((acc, column) => {
+    if (headers.includes(column)) {
+      acc[column] = column;
+    }
+    return acc;
+  }, {});
+}
+
+export function detectDelimiter(lines) {
+  const sample = lines.filter((line) => line.trim().length > 0).slice(0, 20);
+  if (sample.length === 0) {
+    return ',';
+  }
+
+  let best = ',';
+  let bestScore = 0;
+  DELIMITERS.forEach((delimiter) => {
+    const counts = sample.map((line) => parseCSVLine(line, delimiter).length - 1);
+    const consistent = counts.every((count) => count === counts[0]);
+    const score = consistent ? counts[0] : Math.min(...counts) / 2;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+export function previewCSV(text, { delimiter, maxRows = 5, isComplete = true } = {}) {
+  const splitter = createLineSplitter();
+  // A partial sample may end mid-line, so its trailing fragment is not previewed.
+  const lines = isComplete ? [...splitter.push(text), ...splitter.flush()] : splitter.push(text);
+  if (lines.length === 0) {
+    throw new Error('CSV file is empty.');
+  }
+
+  const resolvedDelimiter = delimiter ?? detectDelimiter(lines);
+  return {
+    delimiter: resolvedDelimiter,
+    headers: parseCSVLine(lines[0], resolvedDelimiter),
+    rows: lines.slice(1, maxRows + 1).map((line) => parseCSVLine(line, resolvedDelimiter)),
+  };
+}
+
+export function symbolFromFileName(fileName) {
+  const base = String(fileName || '').replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+  const [symbol] = base.trim().split(/[\s_]+/);
+  return symbol ? symbol.toUpperCase() : null;
+}
+
+export function createRowParser(headers, {
+  delimiter = ',',
+  columnMap = identityColumnMap(headers),
+  defaultSymbol = null,
+} = {}) {
+  const columnIndex = CANONICAL_COLUMNS.reduce((acc, column) => {
+    const index = columnMap[column] ? headers.indexOf(columnMap[column]) : -1;
+    if (index !== -1) {
+      acc[column] = index;
+    }
+    return acc;
+  }, {});
+
+  const missing = REQUIRED_COLUMNS
+    .filter((col) => columnIndex[col] === undefined)
+    .filter((col) => col !== 'Symbol' || !defaultSymbol);
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+  }
+
+  const optionalColumns = Object.keys(OPTIONAL_COLUMNS).filter((col) => columnIndex[col] !== undefined);
+  const skipLog = createSkipLog();
+
+  return {
+    availableColumns: [...REQUIRED_COLUMNS, ...optionalColumns],
+    skipLog,
+    parse(line, lineNumber = null) {
+      const values = parseCSVLine(line, delimiter);
+      const symbol = columnIndex.Symbol === undefined ? defaultSymbol : values[columnIndex.Symbol];
+
+      if (values.length !== headers.length) {
+        skipLog.add(lineNumber, `expected ${headers.length} columns, found ${values.length}`, symbol);
+        return null;
+      }
+
+      if (!symbol) {
+        skipLog.add(lineNumber, 'missing symbol', null);
+        return null;
+      }
+
+      let date;
+      try {
+        date = normaliseDateString(values[columnIndex.Date]);
+      } catch (error) {
+        skipLog.add(lineNumber, error.message, symbol);
+        return null;
+      }
+
+      const open = Number.parseFloat(values[columnIndex.Open]);
+      const close = Number.parseFloat(values[columnIndex.Close]);
+
+      const row = { date, symbol, open, close };
+      Object.entries(OPTIONAL_COLUMNS).forEach(([column, field]) => {
+        row[field] = optionalColumns.includes(column)
+          ? Number.parseFloat(values[columnIndex[column]])
+          : Number.NaN;
+      });
+
+      return row;
+    },
+  };
+}
+
+export function createSkipLog() {
+  const entries = [];
+  let count = 0;
+
+  return {
+    entries,
+    get count() {
+      return count;
+    },
+    add(line, reason, symbol = null) {
+      count += 1;
+      if (entries.length < MAX_SKIPPED_DETAILS) {
+        entries.push({ line, reason, symbol });
+      }
+    },
+  };
+}
+
+export function createLineSplitter({ withLineNumbers = false } = {}) {
+  let remainder = '';
+  let lineNumber = 0;
+
+  const emit = (text) => {
+    const lines = [];
+    text.replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+      lineNumber += 1;
+      if (line.trim().length > 0) {
+        lines.push(withLineNumbers ? { text: line, number: lineNumber } : line);
+      }
+    });
+    return lines;
+  };
+
+  return {
+    push(chunk) {
+      const text = remainder + chunk;
+      // Hold back a trailing \r in case its \n arrives with the next chunk.
+      const end = text.endsWith('\r') ? text.length - 1 : text.length;
+      const lastBreak = end === 0 ? -1 : Math.max(text.lastIndexOf('\n', end - 1), text.lastIndexOf('\r', end - 1));
+      if (lastBreak === -1) {
+        remainder = text;
+        return [];
+      }
+
+      remainder = text.slice(lastBreak + 1);
+      return emit(text.slice(0, lastBreak));
+    },
+    flush() {
+      const text = remainder;
+      remainder = '';
+      return text.length > 0 ? emit(text) : [];
+    },
+  };
+}
+
+export function parseCSVText(csvText, { delimiter = ',', columnMap, defaultSymbol } = {}) {
+  const splitter = createLineSplitter({ withLineNumbers: true });
+  const lines = [...splitter.push(csvText), ...splitter.flush()];
+  if (lines.length <= 1) {
+    throw new Error('CSV file is empty.');
+  }
+
+  const parser = createRowParser(parseCSVLine(lines[0].text, delimiter), { delimiter, columnMap, defaultSymbol });
+  const rows = [];
+  for (let i = 1; i < lines.length; i += 1) {
+    const row = parser.parse(lines[i].text, lines[i].number);
+    if (row) {
+      rows.push(row);
+    }
+  }
+
+  return {
+    rows,
+    availableColumns: parser.availableColumns,
+    skipped: parser.skipLog.entries,
+    skippedCount: parser.skipLog.count,
+  };
+}
@@ -0,0 +1,152 @@
+import { createLineSplitter, createRowParser, parseCSVLine } from './csv-parser.js';
+import { parseJSONBars, parseJSONLines, parseWideCSV } from './importers.js';
+
+const BATCH_SIZE = 20000;
+const PROGRESS_INTERVAL_MS = 100;
+
+// These formats need the whole text before rows can be formed, so they are read here
+// with the same progress and cancellation as long CSVs and parsed once complete.
+const TEXT_PARSERS = {
+  wide: (text, { delimiter }) => parseWideCSV(text, { delimiter }),
+  json: (text, { defaultSymbol }) => parseJSONBars(text, { defaultSymbol }),
+  jsonl: (text, { defaultSymbol }) => parseJSONLines(text, { defaultSymbol }),
+};
+
+async function readChunks(file, onText, countRows) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let bytes = 0;
+  let lastProgress = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    bytes += value.byteLength;
+    onText(decoder.decode(value, { stream: true }));
+
+    const now = Date.now();
+    if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now;
+      self.postMessage({
+        type: 'progress',
+        rows: countRows(),
+        bytes,
+        totalBytes: file.size,
+      });
+    }
+  }
+
+  onText(decoder.decode());
+  return bytes;
+}
+
+function postRows(rows) {
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    self.postMessage({ type: 'rows', rows: rows.slice(i, i + BATCH_SIZE) });
+  }
+}
+
+async function ingestText({
+  file,
+  format,
+  delimiter,
+  defaultSymbol,
+}) {
+  const chunks = [];
+  const bytes = await readChunks(file, (text) => chunks.push(text), () => 0);
+  const result = TEXT_PARSERS[format](chunks.join(''), { delimiter, defaultSymbol });
+
+  postRows(result.rows);
+  self.postMessage({
+    type: 'done',
+    rows: result.rows.length,
+    bytes,
+    totalBytes: file.size,
+    availableColumns: result.availableColumns,
+    skipped: result.skipped,
+    skippedCount: result.skippedCount,
+  });
+}
+
+async function ingest({
+  file,
+  format = 'long',
+  delimiter = ',',
+  columnMap,
+  defaultSymbol,
+}) {
+  if (format !== 'long') {
+    if (!TEXT_PARSERS[format]) {
+      throw new Error(`Unknown dataset format: ${format}`);
+    }
+    await ingestText({
+      file,
+      format,
+      delimiter,
+      defaultSymbol,
+    });
+    return;
+  }
+
+  const splitter = createLineSplitter({ withLineNumbers: true });
+
+  let parser = null;
+  let lineCount = 0;
+  let rowCount = 0;
+  let batch = [];
+
+  const flushBatch = () => {
+    if (batch.length > 0) {
+      self.postMessage({ type: 'rows', rows: batch });
+      batch = [];
+    }
+  };
+
+  const handleLine = ({ text, number }) => {
+    lineCount += 1;
+    if (!parser) {
+      parser = createRowParser(parseCSVLine(text, delimiter), { delimiter, columnMap, defaultSymbol });
+      return;
+    }
+
+    const row = parser.parse(text, number);
+    if (row) {
+      batch.push(row);
+      rowCount += 1;
+    }
+  };
+
+  const bytes = await readChunks(file, (text) => {
+    splitter.push(text).forEach(handleLine);
+    if (batch.length >= BATCH_SIZE) {
+      flushBatch();
+    }
+  }, () => rowCount);
+  splitter.flush().forEach(handleLine);
+
+  if (lineCount <= 1) {
+    throw new Error('CSV file is empty.');
+  }
+
+  flushBatch();
+  self.postMessage({
+    type: 'done',
+    rows: rowCount,
+    bytes,
+    totalBytes: file.size,
+    availableColumns: parser.availableColumns,
+    skipped: parser.skipLog.entries,
+    skippedCount: parser.skipLog.count,
+  });
+}
+
+self.addEventListener('message', async (event) => {
+  try {
+    await ingest(event.data);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+});
@@ -1,157 +1,177 @@
+import {
+  OPTIONAL_COLUMNS,
+  REQUIRED_COLUMNS,
+  parseCSVText,
+  previewCSV,
+} from './csv-parser.js';
+import { buildQualityReport } from './data-quality.js';
+import {
+  DATASET_FORMATS,
+  parseJSONBars,
+  parseJSONLines,
+  parseWideCSV,
+  sniffFormat,
+} from './importers.js';
+import { createDefaultRegistry } from './features.js';
+import { computeLeadLag } from './lead-lag.js';
+import { FeatureScaler } from './scaler.js';
+
 const tf = globalThis.tf;
 
 if (!tf || typeof tf.tensor !== 'function') {
   throw new Error('TensorFlow.js failed to initialise. Ensure tf.min.js loads before data-loader.js.');
 }
 
-const REQUIRED_COLUMNS = ['Date', 'Symbol', 'Open', 'Close'];
-
-const FEATURE_KEYS = [
-  'Open',
-  'Close',
-  'CloseToOpen',
-  'Return',
-  'LogReturn',
-  'Momentum3',
-  'Momentum7',
-  'Volatility5',
-  'Volatility10',
-  'SMA5',
-  'EMA10',
-  'RSI14',
-  'MACD',
-  'MACDSignal',
-];
-
-function safeDivide(numerator, denominator, fallback = 0) {
-  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator === 0) {
-    return fallback;
-  }
-  return numerator / denominator;
-}
+const PREVIEW_BYTES = 64 * 1024;
 
-function computeSMA(series, period) {
-  const result = new Array(series.length).fill(0);
-  let windowSum = 0;
+export const MISSING_DATA_POLICIES = ['ffill', 'drop-dates', 'drop-symbol', 'mask'];
 
-  for (let i = 0; i < series.length; i += 1) {
-    const value = Number.isFinite(series[i]) ? series[i] : 0;
-    windowSum += value;
+export const TARGET_MODES = ['direction', 'threshold', 'three-class', 'relative', 'return'];
 
-    if (i >= period) {
-      const outgoing = Number.isFinite(series[i - period]) ? series[i - period] : 0;
-      windowSum -= outgoing;
-    }
-
-    if (i >= period - 1) {
-      result[i] = windowSum / period;
-    }
-  }
+export const DEAD_BAND_MODES = ['ignore', 'flat'];
 
-  return result;
-}
+const PRICE_COLUMNS = ['Open', 'Close', 'High', 'Low', 'AdjClose', 'Volume'];
 
-function computeEMA(series, period) {
-  const result = new Array(series.length).fill(0);
-  if (period <= 1) {
-    return series.map((value) => (Number.isFinite(value) ? value : 0));
+function readTextRows(text, {
+  format = sniffFormat(text.slice(0, PREVIEW_BYTES)),
+  delimiter,
+  columnMap,
+  defaultSymbol,
+} = {}) {
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Unknown dataset format: ${format}`);
   }
 
-  const smoothing = 2 / (period + 1);
-  let ema = null;
-
-  for (let i = 0; i < series.length; i += 1) {
-    const value = Number.isFinite(series[i]) ? series[i] : (ema ?? 0);
-
-    if (ema === null) {
-      const windowStart = Math.max(0, i - period + 1);
-      const window = series.slice(windowStart, i + 1).filter((v) => Number.isFinite(v));
-      ema = window.length > 0 ? window.reduce((acc, v) => acc + v, 0) / window.length : value;
-    } else {
-      ema = (value - ema) * smoothing + ema;
-    }
-
-    result[i] = Number.isFinite(ema) ? ema : 0;
-  }
-
-  return result;
+  const parsers = {
+    long: () => parseCSVText(text, { delimiter, columnMap, defaultSymbol }),
+    wide: () => parseWideCSV(text, { delimiter }),
+    json: () => parseJSONBars(text, { defaultSymbol }),
+    jsonl: () => parseJSONLines(text, { defaultSymbol }),
+  };
+  return parsers[format]();
 }
 
-function computeRSI(series, period = 14) {
-  const result = new Array(series.length).fill(50);
-  if (series.length < 2) {
-    return result;
-  }
-
-  let avgGain = 0;
-  let avgLoss = 0;
-
-  for (let i = 1; i < series.length; i += 1) {
-    const current = Number.isFinite(series[i]) ? series[i] : series[i - 1];
-    const previous = Number.isFinite(series[i - 1]) ? series[i - 1] : current;
-    const change = current - previous;
-    const gain = Math.max(change, 0);
-    const loss = Math.max(-change, 0);
-
-    if (i <= period) {
-      avgGain += gain;
-      avgLoss += loss;
-
-      if (i === period) {
-        avgGain /= period;
-        avgLoss /= period;
+function mergeSources(sources) {
+  const optionalColumns = Object.keys(OPTIONAL_COLUMNS)
+    .filter((column) => sources.every(({ availableColumns }) => availableColumns.includes(column)));
+  const availableColumns = [...REQUIRED_COLUMNS, ...optionalColumns];
+  const compareFields = ['open', 'close', ...optionalColumns.map((column) => OPTIONAL_COLUMNS[column])];
+
+  const byKey = new Map();
+  const rows = [];
+  const conflicts = [];
+  const duplicatesBySymbol = {};
+  const skipped = [];
+  let identicalDuplicates = 0;
+  let skippedCount = 0;
+
+  sources.forEach(({ name, rows: sourceRows, skipped: sourceSkipped = [], skippedCount: sourceSkippedCount = 0 }) => {
+    sourceSkipped.forEach((entry) => skipped.push({ source: name, ...entry }));
+    skippedCount += sourceSkippedCount;
+
+    sourceRows.forEach((row) => {
+      const key = `${row.date}|${row.symbol}`;
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, { row, source: name });
+        rows.push(row);
+        return;
       }
-    } else {
-      avgGain = ((avgGain * (period - 1)) + gain) / period;
-      avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-    }
 
-    if (i >= period) {
-      if (avgLoss === 0) {
-        result[i] = 100;
-      } else {
-        const rs = avgGain / avgLoss;
-        result[i] = 100 - 100 / (1 + rs);
+      const differences = compareFields
+        .filter((field) => !Object.is(existing.row[field], row[field]))
+        .map((field) => ({ field, kept: existing.row[field], dropped: row[field] }));
+
+      if (differences.length === 0) {
+        identicalDuplicates += 1;
+        duplicatesBySymbol[row.symbol] = (duplicatesBySymbol[row.symbol] || 0) + 1;
+        return;
       }
-    }
-  }
 
-  return result.map((value) => (Number.isFinite(value) ? value : 50));
+      conflicts.push({
+        date: row.date,
+        symbol: row.symbol,
+        keptSource: existing.source,
+        droppedSource: name,
+        differences,
+      });
+    });
+  });
+
+  return {
+    rows,
+    availableColumns,
+    identicalDuplicates,
+    duplicatesBySymbol,
+    conflicts,
+    skipped,
+    skippedCount,
+  };
 }
 
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
+function ingestFileInWorker(file, {
+  format,
+  delimiter,
+  columnMap,
+  defaultSymbol,
+  onProgress,
+  signal,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./csv-worker.js', import.meta.url), { type: 'module' });
+    const rows = [];
+
+    const onAbort = () => {
+      worker.terminate();
+      reject(new DOMException('Import cancelled.', 'AbortError'));
+    };
 
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
 
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+    if (signal?.aborted) {
+      onAbort();
+      return;
     }
-  }
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-  result.push(current.trim());
-  return result;
-}
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'rows') {
+        for (let i = 0; i < data.rows.length; i += 1) {
+          rows.push(data.rows[i]);
+        }
+      } else if (data.type === 'progress') {
+        onProgress?.({ rows: data.rows, bytes: data.bytes, totalBytes: data.totalBytes });
+      } else if (data.type === 'done') {
+        finish();
+        onProgress?.({ rows: data.rows, bytes: data.bytes, totalBytes: data.totalBytes });
+        resolve({
+          rows,
+          availableColumns: data.availableColumns,
+          skipped: data.skipped,
+          skippedCount: data.skippedCount,
+        });
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    });
 
-function normaliseDateString(dateString) {
-  const value = new Date(dateString);
-  if (Number.isNaN(value.getTime())) {
-    throw new Error(`Invalid date encountered: ${dateString}`);
-  }
-  return value.toISOString().slice(0, 10);
+    worker.addEventListener('error', (event) => {
+      finish();
+      reject(new Error(event.message || 'Import worker failed to start.'));
+    });
+
+    worker.postMessage({
+      file,
+      format,
+      delimiter,
+      columnMap,
+      defaultSymbol,
+    });
+  });
 }
 
 function fillMissingValues(array) {
@@ -178,63 +198,225 @@ function fillMissingValues(array) {
   return array;
 }
 
-function minMaxScale(series) {
-  const filtered = series.filter((v) => Number.isFinite(v));
-  const min = Math.min(...filtered);
-  const max = Math.max(...filtered);
-  if (!Number.isFinite(min) || !Number.isFinite(max) || min === max) {
-    return series.map(() => 0);
-  }
-  return series.map((value) => ((value - min) / (max - min)));
-}
-
-function standardScale(series) {
-  const filtered = series.filter((v) => Number.isFinite(v));
-  if (filtered.length === 0) {
-    return series.map(() => 0);
+// Weekends are skipped but exchange holidays are unknown, so the dates are estimates.
+function nextBusinessDays(date, count) {
+  const start = new Date(/^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00Z` : date);
+  if (Number.isNaN(start.getTime())) {
+    return new Array(count).fill(null);
   }
 
-  const mean = filtered.reduce((acc, value) => acc + value, 0) / filtered.length;
-  const variance = filtered.reduce((acc, value) => acc + (value - mean) ** 2, 0) / filtered.length;
-  const std = Math.sqrt(variance);
-
-  if (!Number.isFinite(std) || std === 0) {
-    return series.map(() => 0);
+  const days = [];
+  const cursor = new Date(start.getTime());
+  while (days.length < count) {
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+    const weekday = cursor.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      days.push(cursor.toISOString().slice(0, 10));
+    }
   }
-
-  return series.map((value) => (Number.isFinite(value) ? (value - mean) / std : 0));
+  return days;
 }
 
 export class DataLoader {
-  constructor({ sequenceLength = 12, predictionHorizon = 3, trainSplit = 0.8 } = {}) {
+  constructor({
+    sequenceLength = 12,
+    predictionHorizon = 3,
+    trainSplit = 0.8,
+    purge = false,
+    embargoDays = 0,
+    missingDataPolicy = 'ffill',
+    targetMode = 'direction',
+    targetThreshold = 0.005,
+    deadBand = 'ignore',
+    features = createDefaultRegistry(),
+  } = {}) {
     this.sequenceLength = sequenceLength;
     this.predictionHorizon = predictionHorizon;
     this.trainSplit = trainSplit;
+    this.purge = purge;
+    this.embargoDays = embargoDays;
+    this.missingDataPolicy = missingDataPolicy;
+    this.targetMode = targetMode;
+    this.targetThreshold = targetThreshold;
+    this.deadBand = deadBand;
+    this.features = features;
+    this.featureSelection = null;
+    this.symbolSelection = null;
 
     this.rows = [];
+    this.mergeReport = null;
+    this.availableColumns = REQUIRED_COLUMNS.slice();
     this.symbols = [];
     this.dates = [];
+    this.calendarSymbols = [];
+    this.calendarDates = [];
+    this.missingDataReport = null;
+    this.priceCube = {};
     this.featureCube = {};
+    this.fillStats = {};
     this.normalisedCube = {};
-    this.featuresPerSymbol = FEATURE_KEYS.slice();
+    this.scaler = null;
+    this.split = null;
+    this.featuresPerSymbol = this.resolveFeatureKeys();
   }
 
   reset() {
     this.rows = [];
+    this.mergeReport = null;
+    this.availableColumns = REQUIRED_COLUMNS.slice();
     this.symbols = [];
     this.dates = [];
+    this.calendarSymbols = [];
+    this.calendarDates = [];
+    this.missingDataReport = null;
+    this.priceCube = {};
     this.featureCube = {};
+    this.fillStats = {};
     this.normalisedCube = {};
-    this.featuresPerSymbol = FEATURE_KEYS.slice();
+    this.scaler = null;
+    this.split = null;
+    this.featuresPerSymbol = this.resolveFeatureKeys();
+  }
+
+  registerFeature(definition) {
+    this.features.register(definition);
+    return this;
   }
 
-  async loadFile(file) {
+  setFeatureParams(name, params) {
+    this.features.setParams(name, params);
+    return this;
+  }
+
+  setFeatureSelection(names = null) {
+    if (names !== null) {
+      const unknown = names.filter((name) => !this.features.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown features: ${unknown.join(', ')}`);
+      }
+    }
+    this.featureSelection = names ? names.slice() : null;
+    return this;
+  }
+
+  setSymbolSelection(symbols = null) {
+    this.symbolSelection = symbols ? symbols.slice() : null;
+    return this;
+  }
+
+  availableFeatureInputs() {
+    const inputs = this.availableColumns
+      .map((column) => column.replace(' ', ''))
+      .filter((column) => PRICE_COLUMNS.includes(column));
+    if (this.missingDataPolicy === 'mask') {
+      inputs.push('Available');
+    }
+    return inputs;
+  }
+
+  // Features the policy forces in: under masking the model must always be able to tell
+  // filled values from real ones, whatever the selection or ablation asks for.
+  requiredFeatures() {
+    return this.missingDataPolicy === 'mask' ? ['Available'] : [];
+  }
+
+  resolveFeatureKeys() {
+    const required = this.requiredFeatures();
+    const selected = this.features.resolve(this.availableFeatureInputs(), this.featureSelection, {
+      symbolCount: this.symbols.length,
+    });
+    return [...selected.filter((name) => name !== 'Available'), ...required];
+  }
+
+  async previewFile(file, { delimiter } = {}) {
     if (!(file instanceof File)) {
       throw new Error('Expected a File object for CSV upload.');
     }
 
-    const text = await file.text();
-    this.parseCSV(text);
+    const sample = await file.slice(0, PREVIEW_BYTES).text();
+    const format = sniffFormat(sample);
+    if (format === 'json' || format === 'jsonl') {
+      return { format };
+    }
+
+    return { format, ...previewCSV(sample, { delimiter, isComplete: file.size <= PREVIEW_BYTES }) };
+  }
+
+  async readFile(file, {
+    format,
+    delimiter = ',',
+    columnMap,
+    defaultSymbol,
+    onProgress,
+    signal,
+  } = {}) {
+    if (!(file instanceof File)) {
+      throw new Error('Expected a File object for CSV upload.');
+    }
+
+    const resolvedFormat = format ?? (await this.previewFile(file)).format;
+    if (typeof Worker === 'undefined') {
+      const text = await file.text();
+      if (signal?.aborted) {
+        throw new DOMException('Import cancelled.', 'AbortError');
+      }
+      const result = readTextRows(text, {
+        format: resolvedFormat,
+        delimiter,
+        columnMap,
+        defaultSymbol,
+      });
+      onProgress?.({ rows: result.rows.length, bytes: file.size, totalBytes: file.size });
+      return result;
+    }
+
+    return ingestFileInWorker(file, {
+      format: resolvedFormat,
+      delimiter,
+      columnMap,
+      defaultSymbol,
+      onProgress,
+      signal,
+    });
+  }
+
+  async loadFiles(entries, { onProgress, signal } = {}) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('Select at least one file to import.');
+    }
+
+    const totalBytes = entries.reduce((acc, { file }) => acc + (file?.size || 0), 0);
+    const sources = [];
+    let rowsBefore = 0;
+    let bytesBefore = 0;
+
+    for (let i = 0; i < entries.length; i += 1) {
+      const { file, ...options } = entries[i];
+      const result = await this.readFile(file, {
+        ...options,
+        signal,
+        onProgress: (progress) => {
+          onProgress?.({
+            rows: rowsBefore + progress.rows,
+            bytes: bytesBefore + progress.bytes,
+            totalBytes,
+            fileIndex: i,
+            fileCount: entries.length,
+            fileName: file.name,
+          });
+        },
+      });
+
+      sources.push({ name: file.name, ...result });
+      rowsBefore += result.rows.length;
+      bytesBefore += file.size;
+    }
+
+    this.setSources(sources);
+  }
+
+  async loadFile(file, { onProgress, signal, ...options } = {}) {
+    await this.loadFiles([{ file, ...options }], { onProgress, signal });
   }
 
   async loadFromUrl(url) {
@@ -244,346 +426,706 @@ export class DataLoader {
     }
 
     const text = await response.text();
-    this.parseCSV(text);
+    this.parseText(text, { name: url.split('/').pop() });
   }
 
-  parseCSV(csvText) {
-    const lines = csvText.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n').filter((line) => line.trim().length > 0);
-    if (lines.length <= 1) {
-      throw new Error('CSV file is empty.');
-    }
-
-    const headers = parseCSVLine(lines[0]);
-    const missing = REQUIRED_COLUMNS.filter((col) => !headers.includes(col));
-    if (missing.length > 0) {
-      throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
-    }
+  parseText(text, { name = 'dataset', ...options } = {}) {
+    this.setSources([{ name, ...readTextRows(text, options) }]);
+  }
 
-    const columnIndex = headers.reduce((acc, header, index) => ({ ...acc, [header]: index }), {});
+  parseCSV(csvText, options = {}) {
+    this.parseText(csvText, { ...options, format: 'long' });
+  }
 
-    this.rows = [];
-    for (let i = 1; i < lines.length; i += 1) {
-      const values = parseCSVLine(lines[i]);
-      if (values.length !== headers.length) {
-        continue;
-      }
+  setRows(rows, availableColumns, name = 'dataset') {
+    this.setSources([{ name, rows, availableColumns }]);
+  }
 
-      const date = normaliseDateString(values[columnIndex.Date]);
-      const symbol = values[columnIndex.Symbol];
-      const open = Number.parseFloat(values[columnIndex.Open]);
-      const close = Number.parseFloat(values[columnIndex.Close]);
+  setSources(sources) {
+    const {
+      rows,
+      availableColumns,
+      identicalDuplicates,
+      duplicatesBySymbol,
+      conflicts,
+      skipped,
+      skippedCount,
+    } = mergeSources(sources);
+
+    if (rows.length === 0) {
+      throw new Error('No valid data rows were parsed from the CSV.');
+    }
 
-      if (!symbol) {
-        continue;
-      }
+    this.rows = rows;
+    this.availableColumns = availableColumns;
+    this.symbolSelection = null;
+    this.mergeReport = {
+      sources: sources.map(({ name, rows: sourceRows, skippedCount: sourceSkippedCount = 0 }) => ({
+        name,
+        rows: sourceRows.length,
+        skipped: sourceSkippedCount,
+      })),
+      identicalDuplicates,
+      duplicatesBySymbol,
+      conflicts,
+      skipped,
+      skippedCount,
+    };
+    this.rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.symbol.localeCompare(b.symbol)));
+  }
 
-      this.rows.push({ date, symbol, open, close });
+  applyMissingDataPolicy(dates, symbols, presence) {
+    const policy = this.missingDataPolicy;
+    if (!MISSING_DATA_POLICIES.includes(policy)) {
+      throw new Error(`Unknown missing-data policy: ${policy}`);
     }
 
-    if (this.rows.length === 0) {
-      throw new Error('No valid data rows were parsed from the CSV.');
+    let keptDates = dates;
+    let keptSymbols = symbols;
+    if (policy === 'drop-symbol') {
+      keptSymbols = symbols.filter((symbol) => dates.every((date) => presence[symbol].has(date)));
+      if (keptSymbols.length === 0) {
+        throw new Error('Every symbol has missing dates; choose another missing-data policy.');
+      }
+    } else if (policy === 'drop-dates') {
+      keptDates = dates.filter((date) => symbols.every((symbol) => presence[symbol].has(date)));
+      if (keptDates.length === 0) {
+        throw new Error('No date has prices for every symbol; choose another missing-data policy.');
+      }
     }
 
-    this.rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.symbol.localeCompare(b.symbol)));
+    return {
+      dates: keptDates,
+      symbols: keptSymbols,
+      report: {
+        policy,
+        droppedDates: dates.length - keptDates.length,
+        droppedSymbols: symbols.filter((symbol) => !keptSymbols.includes(symbol)),
+        maskedValues: 0,
+      },
+    };
   }
 
   buildFeatureCube() {
     const dateSet = new Set();
-    const symbolSet = new Set();
+    const presence = {};
 
-    this.rows.forEach(({ date, symbol }) => {
+    this.rows.forEach(({ date, symbol, open, close }) => {
       dateSet.add(date);
-      symbolSet.add(symbol);
+      presence[symbol] = presence[symbol] || new Set();
+      if (Number.isFinite(open) && Number.isFinite(close)) {
+        presence[symbol].add(date);
+      }
     });
 
-    this.dates = Array.from(dateSet).sort((a, b) => new Date(a) - new Date(b));
-    this.symbols = Array.from(symbolSet).sort();
+    this.calendarDates = Array.from(dateSet).sort((a, b) => new Date(a) - new Date(b));
+    this.calendarSymbols = Object.keys(presence).sort();
 
-    this.featureCube = {};
+    const universe = this.symbolSelection
+      ? this.calendarSymbols.filter((symbol) => this.symbolSelection.includes(symbol))
+      : this.calendarSymbols;
+    if (universe.length === 0) {
+      throw new Error('None of the selected symbols are in the dataset.');
+    }
+    const universeDates = universe === this.calendarSymbols
+      ? this.calendarDates
+      : this.calendarDates.filter((date) => universe.some((symbol) => presence[symbol].has(date)));
+
+    const { dates, symbols, report } = this.applyMissingDataPolicy(universeDates, universe, presence);
+    this.dates = dates;
+    this.symbols = symbols;
+    this.missingDataReport = report;
+
+    this.featuresPerSymbol = this.resolveFeatureKeys();
+    if (this.featuresPerSymbol.length === 0) {
+      throw new Error('No selected feature can be computed from the available columns.');
+    }
+
+    this.priceCube = {};
     this.symbols.forEach((symbol) => {
-      this.featureCube[symbol] = {};
-      FEATURE_KEYS.forEach((key) => {
-        this.featureCube[symbol][key] = new Array(this.dates.length).fill(Number.NaN);
+      this.priceCube[symbol] = {};
+      PRICE_COLUMNS.forEach((column) => {
+        this.priceCube[symbol][column] = new Array(this.dates.length).fill(Number.NaN);
       });
+      // Availability is recorded before gaps are filled so masking sees the raw coverage.
+      this.priceCube[symbol].Available = this.dates.map((date) => (presence[symbol].has(date) ? 1 : 0));
     });
 
     const dateIndex = this.dates.reduce((acc, date, idx) => ({ ...acc, [date]: idx }), {});
 
-    this.rows.forEach(({ date, symbol, open, close }) => {
+    this.rows.forEach(({ date, symbol, open, close, high, low, adjClose, volume }) => {
       const idx = dateIndex[date];
-      const target = this.featureCube[symbol];
-      if (!target) {
+      const target = this.priceCube[symbol];
+      if (!target || idx === undefined) {
         return;
       }
       target.Open[idx] = Number.isFinite(open) ? open : Number.NaN;
       target.Close[idx] = Number.isFinite(close) ? close : Number.NaN;
+      target.High[idx] = Number.isFinite(high) ? high : Number.NaN;
+      target.Low[idx] = Number.isFinite(low) ? low : Number.NaN;
+      target.AdjClose[idx] = Number.isFinite(adjClose) ? adjClose : Number.NaN;
+      target.Volume[idx] = Number.isFinite(volume) ? volume : Number.NaN;
     });
 
+    if (this.missingDataPolicy === 'mask') {
+      report.maskedValues = this.symbols.reduce(
+        (acc, symbol) => acc + this.priceCube[symbol].Available.filter((flag) => flag === 0).length,
+        0,
+      );
+    }
+
+    const availablePriceColumns = this.availableFeatureInputs().filter((column) => PRICE_COLUMNS.includes(column));
+
+    this.fillStats = {};
     this.symbols.forEach((symbol) => {
-      ['Open', 'Close'].forEach((feature) => {
-        fillMissingValues(this.featureCube[symbol][feature]);
+      const prices = this.priceCube[symbol];
+      this.fillStats[symbol] = {};
+      availablePriceColumns.forEach((column) => {
+        this.fillStats[symbol][column] = prices[column].filter((value) => !Number.isFinite(value)).length;
       });
 
-      const closes = this.featureCube[symbol].Close;
-      const closeToOpen = closes.map((value, index) => {
-        const openValue = this.featureCube[symbol].Open[index];
-        return safeDivide(value - openValue, openValue, 0);
+      PRICE_COLUMNS.forEach((column) => {
+        fillMissingValues(prices[column]);
       });
+    });
 
-      const returns = closes.map((value, index) => {
-        if (index === 0) {
-          return 0;
-        }
-        const previous = closes[index - 1];
-        if (!Number.isFinite(value) || !Number.isFinite(previous) || previous === 0) {
-          return 0;
-        }
-        return (value - previous) / previous;
+    // Every symbol is filled before any feature runs so cross-sectional features see the whole universe.
+    const context = { symbols: this.symbols, prices: this.priceCube, cache: new Map() };
+    this.featureCube = {};
+    this.symbols.forEach((symbol) => {
+      this.featureCube[symbol] = {};
+      this.featuresPerSymbol.forEach((name) => {
+        this.featureCube[symbol][name] = this.features.compute(name, this.priceCube[symbol], this.dates.length, {
+          ...context,
+          symbol,
+        });
       });
+    });
+  }
 
-      const logReturns = closes.map((value, index) => {
-        if (index === 0) {
-          return 0;
-        }
-        const previous = closes[index - 1];
-        if (!Number.isFinite(value) || !Number.isFinite(previous) || previous <= 0) {
-          return 0;
-        }
-        return Math.log(value / previous);
-      });
+  isAnchorUsable(anchor) {
+    const { sequenceLength, predictionHorizon, featuresPerSymbol } = this;
+    if (anchor < sequenceLength - 1 || anchor + predictionHorizon >= this.dates.length) {
+      return false;
+    }
 
-      const momentum3 = closes.map((value, index) => {
-        if (index < 3) {
-          return 0;
-        }
-        const baseline = closes[index - 3];
-        if (!Number.isFinite(value) || !Number.isFinite(baseline) || baseline === 0) {
-          return 0;
-        }
-        return (value - baseline) / baseline;
-      });
+    for (let s = 0; s < this.symbols.length; s += 1) {
+      const columns = this.featureCube[this.symbols[s]];
 
-      const momentum7 = closes.map((value, index) => {
-        if (index < 7) {
-          return 0;
-        }
-        const baseline = closes[index - 7];
-        if (!Number.isFinite(value) || !Number.isFinite(baseline) || baseline === 0) {
-          return 0;
+      for (let index = anchor - sequenceLength + 1; index <= anchor; index += 1) {
+        for (let f = 0; f < featuresPerSymbol.length; f += 1) {
+          if (!Number.isFinite(columns[featuresPerSymbol[f]][index])) {
+            return false;
+          }
         }
-        return (value - baseline) / baseline;
-      });
+      }
 
-      const volatility5 = closes.map((_, index) => {
-        if (index < 4) {
-          return 0;
+      const closes = this.priceCube[this.symbols[s]].Close;
+      for (let horizon = 0; horizon <= predictionHorizon; horizon += 1) {
+        if (!Number.isFinite(closes[anchor + horizon])) {
+          return false;
         }
-        const window = closes.slice(index - 4, index + 1);
-        if (window.some((v) => !Number.isFinite(v))) {
-          return 0;
-        }
-        const mean = window.reduce((acc, v) => acc + v, 0) / window.length;
-        if (!Number.isFinite(mean) || mean === 0) {
-          return 0;
-        }
-        const variance = window.reduce((acc, v) => acc + (v - mean) ** 2, 0) / window.length;
-        const std = Math.sqrt(variance);
-        if (!Number.isFinite(std)) {
-          return 0;
-        }
-        return std / mean;
+      }
+    }
+
+    return true;
+  }
+
+  collectAnchors() {
+    const anchors = [];
+    for (let anchor = this.sequenceLength - 1; anchor < this.dates.length - this.predictionHorizon; anchor += 1) {
+      if (this.isAnchorUsable(anchor)) {
+        anchors.push(anchor);
+      }
+    }
+    return anchors;
+  }
+
+  fitScaler({ start = 0, end } = {}) {
+    const scaler = new FeatureScaler({ methods: this.features.scalingMethods() });
+    return scaler.fit(this.featureCube, this.symbols, this.featuresPerSymbol, { start, end });
+  }
+
+  applyScaler(scaler) {
+    if (!(scaler instanceof FeatureScaler) || !scaler.isFitted) {
+      throw new Error('Expected a fitted FeatureScaler.');
+    }
+    if (!scaler.covers(this.symbols, this.featuresPerSymbol)) {
+      throw new Error('Scaler statistics do not cover the loaded symbols and features.');
+    }
+
+    this.scaler = scaler;
+    this.normalisedCube = scaler.transform(this.featureCube, this.symbols, this.featuresPerSymbol);
+  }
+
+  buildSequence(anchor, normalisedCube = this.normalisedCube, featureKeys = this.featuresPerSymbol) {
+    const sequence = [];
+
+    for (let index = anchor - this.sequenceLength + 1; index <= anchor; index += 1) {
+      const timestep = [];
+      this.symbols.forEach((symbol) => {
+        featureKeys.forEach((featureKey) => {
+          timestep.push(normalisedCube[symbol][featureKey][index]);
+        });
       });
+      sequence.push(timestep);
+    }
 
-      const volatility10 = closes.map((_, index) => {
-        if (index < 9) {
-          return 0;
-        }
-        const window = closes.slice(index - 9, index + 1);
-        if (window.some((v) => !Number.isFinite(v))) {
-          return 0;
-        }
-        const mean = window.reduce((acc, v) => acc + v, 0) / window.length;
-        if (!Number.isFinite(mean) || mean === 0) {
-          return 0;
-        }
-        const variance = window.reduce((acc, v) => acc + (v - mean) ** 2, 0) / window.length;
-        const std = Math.sqrt(variance);
-        if (!Number.isFinite(std)) {
-          return 0;
+    return sequence;
+  }
+
+  targetClasses() {
+    return this.targetMode === 'three-class' ? 3 : 2;
+  }
+
+  describeTarget() {
+    const usesThreshold = this.targetMode === 'threshold' || this.targetMode === 'three-class';
+    return {
+      mode: this.targetMode,
+      task: this.targetMode === 'return' ? 'regression' : 'classification',
+      classes: this.targetClasses(),
+      threshold: usesThreshold ? this.targetThreshold : 0,
+      deadBand: this.targetMode === 'threshold' ? this.deadBand : null,
+    };
+  }
+
+  validateWindowOptions() {
+    const { sequenceLength, predictionHorizon, trainSplit } = this;
+    if (!Number.isInteger(sequenceLength) || sequenceLength < 1) {
+      throw new Error('Sequence length must be a whole number of days (at least 1).');
+    }
+    if (!Number.isInteger(predictionHorizon) || predictionHorizon < 1) {
+      throw new Error('Prediction horizon must be a whole number of days (at least 1).');
+    }
+    if (!Number.isFinite(trainSplit) || trainSplit <= 0 || trainSplit >= 1) {
+      throw new Error('The train split must be strictly between 0 and 1 (0% and 100%).');
+    }
+
+    // Two windows is the least that still allows a train/test split.
+    const required = sequenceLength + predictionHorizon + 1;
+    if (this.dates.length < required) {
+      throw new Error(
+        `A ${sequenceLength}-day window with a ${predictionHorizon}-day horizon needs at least ${required} trading days; the dataset has ${this.dates.length}.`,
+      );
+    }
+  }
+
+  getWindowSettings() {
+    return {
+      sequenceLength: this.sequenceLength,
+      predictionHorizon: this.predictionHorizon,
+      trainSplit: this.trainSplit,
+      purge: this.purge,
+      embargoDays: this.embargoDays,
+      missingDataPolicy: this.missingDataPolicy,
+      target: this.describeTarget(),
+    };
+  }
+
+  validateTargetOptions() {
+    if (!TARGET_MODES.includes(this.targetMode)) {
+      throw new Error(`Unknown target mode: ${this.targetMode}`);
+    }
+    if (!DEAD_BAND_MODES.includes(this.deadBand)) {
+      throw new Error(`Unknown dead-band handling: ${this.deadBand}`);
+    }
+    if (!Number.isFinite(this.targetThreshold) || this.targetThreshold < 0) {
+      throw new Error('The target threshold must be a non-negative number.');
+    }
+    if (this.targetMode === 'relative' && this.symbols.length < 2) {
+      throw new Error('Outperformance targets need at least two symbols.');
+    }
+  }
+
+  labelMove(move) {
+    const threshold = this.targetThreshold;
+    if (this.targetMode === 'three-class') {
+      if (move > threshold) {
+        return 2;
+      }
+      return move < -threshold ? 0 : 1;
+    }
+    if (this.targetMode === 'threshold' && Math.abs(move) <= threshold) {
+      // Moves inside the dead band are either dropped from the loss or counted as "not up".
+      return this.deadBand === 'ignore' ? -1 : 0;
+    }
+    return move > 0 ? 1 : 0;
+  }
+
+  buildTargets(anchor) {
+    const targetVector = [];
+    const masked = this.missingDataPolicy === 'mask';
+    const isMissing = (symbol, horizon) => masked
+      && (this.priceCube[symbol].Available[anchor] === 0 || this.priceCube[symbol].Available[anchor + horizon] === 0);
+    const forwardReturn = (symbol, horizon) => {
+      const closes = this.priceCube[symbol].Close;
+      return closes[anchor + horizon] / closes[anchor] - 1;
+    };
+
+    // Outperformance compares each move with the mean move of the symbols that traded.
+    const universeMoves = [];
+    if (this.targetMode === 'relative') {
+      for (let horizon = 1; horizon <= this.predictionHorizon; horizon += 1) {
+        const moves = this.symbols
+          .filter((symbol) => !isMissing(symbol, horizon))
+          .map((symbol) => forwardReturn(symbol, horizon));
+        universeMoves.push(moves.reduce((acc, move) => acc + move, 0) / Math.max(1, moves.length));
+      }
+    }
+
+    this.symbols.forEach((symbol) => {
+      for (let horizon = 1; horizon <= this.predictionHorizon; horizon += 1) {
+        if (isMissing(symbol, horizon)) {
+          // Filled prices are not real moves; -1 (NaN for returns) marks the label for exclusion.
+          targetVector.push(this.targetMode === 'return' ? Number.NaN : -1);
+        } else if (this.targetMode === 'return') {
+          targetVector.push(forwardReturn(symbol, horizon));
+        } else if (this.targetMode === 'relative') {
+          targetVector.push(this.labelMove(forwardReturn(symbol, horizon) - universeMoves[horizon - 1]));
+        } else {
+          targetVector.push(this.labelMove(forwardReturn(symbol, horizon)));
         }
-        return std / mean;
-      });
+      }
+    });
 
-      const sma5 = computeSMA(closes, 5);
-      const ema10 = computeEMA(closes, 10);
-      const rsi14 = computeRSI(closes, 14);
-
-      const ema12 = computeEMA(closes, 12);
-      const ema26 = computeEMA(closes, 26);
-      const macd = ema12.map((value, index) => value - ema26[index]);
-      const macdSignal = computeEMA(macd, 9);
-
-      this.featureCube[symbol].CloseToOpen = closeToOpen;
-      this.featureCube[symbol].Return = returns;
-      this.featureCube[symbol].LogReturn = logReturns;
-      this.featureCube[symbol].Momentum3 = momentum3;
-      this.featureCube[symbol].Momentum7 = momentum7;
-      this.featureCube[symbol].Volatility5 = volatility5;
-      this.featureCube[symbol].Volatility10 = volatility10;
-      this.featureCube[symbol].SMA5 = sma5;
-      this.featureCube[symbol].EMA10 = ema10;
-      this.featureCube[symbol].RSI14 = rsi14;
-      this.featureCube[symbol].MACD = macd.map((value) => (Number.isFinite(value) ? value : 0));
-      this.featureCube[symbol].MACDSignal = macdSignal.map((value) => (Number.isFinite(value) ? value : 0));
+    return targetVector;
+  }
+
+  // Naive forecasts that repeat a trailing move — yesterday's (persistence) or the
+  // whole input window's (momentum) — labelled in the same classes as the targets.
+  buildReferenceSignals(anchors) {
+    const lookbacks = { persistence: 1, momentum: Math.max(1, this.sequenceLength - 1) };
+    return Object.fromEntries(Object.entries(lookbacks).map(([name, lookback]) => [
+      name,
+      anchors.map((anchor) => this.labelTrailingMoves(anchor, lookback)),
+    ]));
+  }
+
+  labelTrailingMoves(anchor, lookback) {
+    const moves = this.symbols.map((symbol) => {
+      const closes = this.priceCube[symbol].Close;
+      const move = closes[anchor] / closes[anchor - lookback] - 1;
+      return Number.isFinite(move) ? move : 0;
     });
+    const universeMove = moves.reduce((acc, move) => acc + move, 0) / moves.length;
 
-    this.normalisedCube = {};
-    this.symbols.forEach((symbol) => {
-      this.normalisedCube[symbol] = {
-        Open: minMaxScale(this.featureCube[symbol].Open.slice()),
-        Close: minMaxScale(this.featureCube[symbol].Close.slice()),
+    const labels = [];
+    moves.forEach((move) => {
+      let label;
+      if (this.targetMode === 'return') {
+        label = move > 0 ? 1 : 0;
+      } else {
+        // A move inside an ignored dead band still has to be called; it counts as "not up".
+        label = Math.max(0, this.labelMove(this.targetMode === 'relative' ? move - universeMove : move));
+      }
+      for (let horizon = 1; horizon <= this.predictionHorizon; horizon += 1) {
+        labels.push(label);
+      }
+    });
+    return labels;
+  }
+
+  buildTensors(anchors, normalisedCube = this.normalisedCube, featureKeys = this.featuresPerSymbol) {
+    const featuresPerStep = this.symbols.length * featureKeys.length;
+    const outputSize = this.symbols.length * this.predictionHorizon;
+    const classes = this.targetClasses();
+    const sequences = anchors.map((anchor) => this.buildSequence(anchor, normalisedCube, featureKeys));
+    const targets = anchors.map((anchor) => this.buildTargets(anchor));
+
+    if (classes > 2) {
+      // One-hot rows per symbol-day; a masked label becomes an all-zero row.
+      const oneHot = targets.map((vector) => vector.map((label) => (
+        Array.from({ length: classes }, (_, index) => (index === label ? 1 : 0))
+      )));
+      return {
+        X: tf.tensor(sequences, [anchors.length, this.sequenceLength, featuresPerStep], 'float32'),
+        y: tf.tensor(oneHot, [anchors.length, outputSize, classes], 'float32'),
       };
+    }
 
-      FEATURE_KEYS.forEach((key) => {
-        if (key === 'Open' || key === 'Close') {
-          return;
-        }
-        const raw = this.featureCube[symbol][key];
-        if (!Array.isArray(raw)) {
-          return;
-        }
-        this.normalisedCube[symbol][key] = standardScale(raw.slice());
-      });
-    });
+    return {
+      X: tf.tensor(sequences, [anchors.length, this.sequenceLength, featuresPerStep], 'float32'),
+      y: tf.tensor(targets, [anchors.length, outputSize], 'float32'),
+    };
   }
 
-  createWindowedDataset() {
-    const sequences = [];
-    const targets = [];
-    const sampleDates = [];
+  separateSplit(trainAnchors, testAnchors) {
+    const boundary = testAnchors[0];
+    const embargo = Math.max(0, Math.floor(this.embargoDays) || 0);
+    const keptTest = testAnchors.filter((anchor) => anchor >= boundary + embargo);
 
-    const { sequenceLength, predictionHorizon, featuresPerSymbol } = this;
-    const numSymbols = this.symbols.length;
+    if (keptTest.length === 0) {
+      throw new Error(`An embargo of ${embargo} days leaves no test samples.`);
+    }
 
-    for (let anchor = sequenceLength - 1; anchor < this.dates.length - predictionHorizon; anchor += 1) {
-      const sequence = [];
-      let valid = true;
+    // A training label spans anchor + 1 … anchor + horizon; drop it when that span
+    // reaches into the input window of the first test sample.
+    const firstTestInput = keptTest[0] - this.sequenceLength + 1;
+    const keptTrain = this.purge
+      ? trainAnchors.filter((anchor) => anchor + this.predictionHorizon < firstTestInput)
+      : trainAnchors.slice();
 
-      for (let offset = sequenceLength - 1; offset >= 0; offset -= 1) {
-        const index = anchor - offset;
-        const timestep = [];
+    if (keptTrain.length === 0) {
+      throw new Error('Purging overlapping labels leaves no training samples.');
+    }
 
-        for (let s = 0; s < numSymbols; s += 1) {
-          const symbol = this.symbols[s];
+    return {
+      trainAnchors: keptTrain,
+      testAnchors: keptTest,
+      purgedSamples: trainAnchors.length - keptTrain.length,
+      embargoedSamples: testAnchors.length - keptTest.length,
+    };
+  }
 
-          for (let f = 0; f < featuresPerSymbol.length; f += 1) {
-            const featureKey = featuresPerSymbol[f];
-            const value = this.normalisedCube[symbol][featureKey][index];
+  createWindowedDataset({ scaler } = {}) {
+    this.validateWindowOptions();
+    this.validateTargetOptions();
+    const anchors = this.collectAnchors();
 
-            if (!Number.isFinite(value)) {
-              valid = false;
-              break;
-            }
+    if (anchors.length === 0) {
+      throw new Error('Unable to construct any sequences. Please provide a longer time series.');
+    }
 
-            timestep.push(value);
-          }
+    if (anchors.length < 2) {
+      throw new Error('Not enough samples to create a train/test split.');
+    }
 
-          if (!valid) {
-            break;
-          }
-        }
+    const rawSplit = Math.floor(anchors.length * this.trainSplit);
+    const boundaryIndex = Math.min(anchors.length - 1, Math.max(1, rawSplit));
+    const {
+      trainAnchors,
+      testAnchors,
+      purgedSamples,
+      embargoedSamples,
+    } = this.separateSplit(anchors.slice(0, boundaryIndex), anchors.slice(boundaryIndex));
 
-        if (!valid) {
-          break;
-        }
+    // Scaling statistics only see dates that feed training inputs, so test-period
+    // prices cannot leak into the training windows.
+    this.applyScaler(scaler ?? this.fitScaler({ end: trainAnchors[trainAnchors.length - 1] + 1 }));
+    this.split = { trainAnchors, testAnchors };
 
-        sequence.push(timestep);
-      }
+    const train = this.buildTensors(trainAnchors);
+    const test = this.buildTensors(testAnchors);
 
-      if (!valid) {
-        continue;
-      }
+    return {
+      X_train: train.X,
+      X_test: test.X,
+      y_train: train.y,
+      y_test: test.y,
+      sampleDates: [...trainAnchors, ...testAnchors].map((anchor) => this.dates[anchor]),
+      splitIndex: trainAnchors.length,
+      purgedSamples,
+      embargoedSamples,
+      referenceSignals: this.buildReferenceSignals(testAnchors),
+      scaler: this.scaler,
+    };
+  }
 
-      const targetVector = [];
-      const baselineIndex = anchor;
+  // The newest anchor has no future prices, so createWindowedDataset never uses it;
+  // it is scaled with the statistics the model was trained with.
+  createForecastWindow(scaler = this.scaler) {
+    if (!scaler?.isFitted) {
+      throw new Error('Prepare the dataset before forecasting.');
+    }
 
-      for (let s = 0; s < numSymbols; s += 1) {
-        const symbol = this.symbols[s];
-        const baselineClose = this.featureCube[symbol].Close[baselineIndex];
-        if (!Number.isFinite(baselineClose)) {
-          valid = false;
-          break;
-        }
+    const anchor = this.dates.length - 1;
+    const start = anchor - this.sequenceLength + 1;
+    if (start < 0) {
+      throw new Error(`Forecasting needs at least ${this.sequenceLength} dates.`);
+    }
 
-        for (let horizon = 1; horizon <= predictionHorizon; horizon += 1) {
-          const futureClose = this.featureCube[symbol].Close[baselineIndex + horizon];
-          if (!Number.isFinite(futureClose)) {
-            valid = false;
-            break;
-          }
-          targetVector.push(futureClose > baselineClose ? 1 : 0);
-        }
+    const incomplete = this.symbols.filter((symbol) => this.featuresPerSymbol.some((key) => (
+      this.featureCube[symbol][key].slice(start, anchor + 1).some((value) => !Number.isFinite(value))
+    )));
+    if (incomplete.length > 0) {
+      throw new Error(`The latest window has missing feature values for ${incomplete.join(', ')}.`);
+    }
+
+    const normalisedCube = scaler.transform(this.featureCube, this.symbols, this.featuresPerSymbol);
+    const featuresPerStep = this.symbols.length * this.featuresPerSymbol.length;
+    return {
+      X: tf.tensor([this.buildSequence(anchor, normalisedCube)], [1, this.sequenceLength, featuresPerStep], 'float32'),
+      anchorDate: this.dates[anchor],
+      targetDates: nextBusinessDays(this.dates[anchor], this.predictionHorizon),
+      symbols: this.symbols.slice(),
+      sequenceLength: this.sequenceLength,
+      predictionDays: this.predictionHorizon,
+      trainSplit: this.trainSplit,
+      target: this.describeTarget(),
+    };
+  }
+
+  // Test-period anchors with the unscaled prices a backtest trades on.
+  getBacktestInputs() {
+    if (!this.split) {
+      throw new Error('Prepare the dataset before backtesting.');
+    }
+
+    return {
+      anchors: this.split.testAnchors.slice(),
+      dates: this.dates.slice(),
+      symbols: this.symbols.slice(),
+      prices: Object.fromEntries(this.symbols.map((symbol) => [
+        symbol,
+        { Open: this.priceCube[symbol].Open, Close: this.priceCube[symbol].Close },
+      ])),
+    };
+  }
 
-        if (!valid) {
-          break;
+  // Plain 1-day close-to-close returns, independent of the feature settings. Under
+  // masking, a return touching a filled day is NaN so lead-lag skips it.
+  getReturnSeries() {
+    const returns = {};
+    this.symbols.forEach((symbol) => {
+      const { Close: closes, Available: available } = this.priceCube[symbol];
+      const masked = this.missingDataPolicy === 'mask' && available;
+      returns[symbol] = closes.map((close, index) => {
+        const previous = closes[index - 1];
+        if (index === 0 || !previous || (masked && (available[index] === 0 || available[index - 1] === 0))) {
+          return Number.NaN;
         }
-      }
+        return (close - previous) / previous;
+      });
+    });
+    return returns;
+  }
 
-      if (!valid) {
-        continue;
-      }
+  analyseLeadLag({ maxLag = 5 } = {}) {
+    if (!this.split) {
+      throw new Error('Prepare the dataset before running lead-lag analysis.');
+    }
 
-      sequences.push(sequence);
-      targets.push(targetVector);
-      sampleDates.push(this.dates[anchor]);
+    // Only the scaler's fit window is used, so the proposed basket never sees test-period returns.
+    const end = this.scaler?.fitRange?.end ?? this.dates.length;
+    const analysis = computeLeadLag(this.getReturnSeries(), this.symbols, { maxLag, end });
+    return { ...analysis, dates: [this.dates[0], this.dates[analysis.end - 1]] };
+  }
+
+  createFeatureSubsetDataset(featureKeys) {
+    if (!this.split) {
+      throw new Error('Prepare the dataset before building feature subsets.');
+    }
+    const unknown = featureKeys.filter((key) => !this.featuresPerSymbol.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Features not in the prepared set: ${unknown.join(', ')}`);
+    }
+    if (featureKeys.length === 0) {
+      throw new Error('A feature subset needs at least one feature.');
+    }
+    const missingRequired = this.requiredFeatures().filter((key) => !featureKeys.includes(key));
+    if (missingRequired.length > 0) {
+      throw new Error(`Feature subsets must keep ${missingRequired.join(', ')}.`);
     }
 
-    if (sequences.length === 0) {
-      throw new Error('Unable to construct any sequences. Please provide a longer time series.');
+    // Same anchors and scaler statistics as the full set, so only the inputs differ.
+    const { trainAnchors, testAnchors } = this.split;
+    const train = this.buildTensors(trainAnchors, this.normalisedCube, featureKeys);
+    const test = this.buildTensors(testAnchors, this.normalisedCube, featureKeys);
+
+    return {
+      X_train: train.X,
+      X_test: test.X,
+      y_train: train.y,
+      y_test: test.y,
+      symbols: this.symbols.slice(),
+      sequenceLength: this.sequenceLength,
+      predictionDays: this.predictionHorizon,
+      featuresPerSymbol: featureKeys.slice(),
+      target: this.describeTarget(),
+    };
+  }
+
+  planWalkForwardFolds({ folds = 5, windowMode = 'expanding' } = {}) {
+    if (!['expanding', 'sliding'].includes(windowMode)) {
+      throw new Error(`Unknown walk-forward window mode: ${windowMode}`);
     }
 
-    const featuresPerStep = numSymbols * featuresPerSymbol.length;
-    const X = tf.tensor(sequences, [sequences.length, sequenceLength, featuresPerStep], 'float32');
-    const y = tf.tensor(targets, [targets.length, numSymbols * this.predictionHorizon], 'float32');
+    const anchors = this.collectAnchors();
+    const foldCount = Math.floor(folds);
+    if (!Number.isFinite(foldCount) || foldCount < 1) {
+      throw new Error('Walk-forward evaluation needs at least one fold.');
+    }
 
-    if (sequences.length < 2) {
-      X.dispose();
-      y.dispose();
-      throw new Error('Not enough samples to create a train/test split.');
+    const blockSize = Math.floor(anchors.length / (foldCount + 1));
+    if (blockSize < 2) {
+      throw new Error(`Not enough samples (${anchors.length}) for ${foldCount} walk-forward folds.`);
+    }
+
+    const plan = [];
+    for (let fold = 0; fold < foldCount; fold += 1) {
+      const trainEnd = (fold + 1) * blockSize;
+      const trainStart = windowMode === 'sliding' ? trainEnd - blockSize : 0;
+      const testEnd = fold === foldCount - 1 ? anchors.length : trainEnd + blockSize;
+
+      plan.push({
+        fold: fold + 1,
+        ...this.separateSplit(anchors.slice(trainStart, trainEnd), anchors.slice(trainEnd, testEnd)),
+      });
     }
 
-    const rawSplit = Math.floor(sequences.length * this.trainSplit);
-    const splitIndex = Math.min(sequences.length - 1, Math.max(1, rawSplit));
-    const X_train = X.slice([0, 0, 0], [splitIndex, sequenceLength, featuresPerStep]);
-    const X_test = X.slice([splitIndex, 0, 0], [sequences.length - splitIndex, sequenceLength, featuresPerStep]);
-    const y_train = y.slice([0, 0], [splitIndex, numSymbols * this.predictionHorizon]);
-    const y_test = y.slice([splitIndex, 0], [targets.length - splitIndex, numSymbols * this.predictionHorizon]);
+    return plan;
+  }
 
-    X.dispose();
-    y.dispose();
+  createFoldDataset({
+    fold,
+    trainAnchors,
+    testAnchors,
+    purgedSamples = 0,
+    embargoedSamples = 0,
+  }) {
+    const firstInput = Math.max(0, trainAnchors[0] - this.sequenceLength + 1);
+    const scaler = this.fitScaler({ start: firstInput, end: trainAnchors[trainAnchors.length - 1] + 1 });
+    const normalisedCube = scaler.transform(this.featureCube, this.symbols, this.featuresPerSymbol);
+
+    const train = this.buildTensors(trainAnchors, normalisedCube);
+    const test = this.buildTensors(testAnchors, normalisedCube);
 
     return {
-      X_train,
-      X_test,
-      y_train,
-      y_test,
-      sampleDates,
-      splitIndex,
+      fold,
+      X_train: train.X,
+      X_test: test.X,
+      y_train: train.y,
+      y_test: test.y,
+      trainDates: trainAnchors.map((anchor) => this.dates[anchor]),
+      testDates: testAnchors.map((anchor) => this.dates[anchor]),
+      purgedSamples,
+      embargoedSamples,
+      scaler,
     };
   }
 
-  async prepareDataset() {
+  getQualityReport() {
+    if (this.dates.length === 0) {
+      throw new Error('Build the feature cube before requesting a quality report.');
+    }
+
+    return buildQualityReport({
+      rows: this.rows,
+      dates: this.calendarDates,
+      symbols: this.calendarSymbols,
+      availableColumns: this.availableColumns,
+      mergeReport: this.mergeReport,
+      fillStats: this.fillStats,
+      droppedSymbols: this.missingDataReport?.droppedSymbols ?? [],
+    });
+  }
+
+  async prepareDataset({ scaler } = {}) {
     this.buildFeatureCube();
-    const dataset = this.createWindowedDataset();
+    const dataset = this.createWindowedDataset({ scaler });
 
     return {
       ...dataset,
       symbols: this.symbols.slice(),
       sequenceLength: this.sequenceLength,
       predictionDays: this.predictionHorizon,
+      trainSplit: this.trainSplit,
       featuresPerSymbol: this.featuresPerSymbol.slice(),
       totalDates: this.dates.length,
       totalRows: this.rows.length,
+      missingDataPolicy: this.missingDataPolicy,
+      missingData: { ...this.missingDataReport },
+      target: this.describeTarget(),
     };
   }
 }
@@ -0,0 +1,196 @@
+import { OPTIONAL_COLUMNS } from './csv-parser.js';
+
+const JUMP_THRESHOLD = 0.35;
+const SPLIT_RATIOS = [2, 3, 4, 5, 8, 10, 20];
+const SPLIT_TOLERANCE = 0.03;
+const MAX_EXAMPLES = 20;
+
+const PRICE_FIELDS = {
+  Open: 'open',
+  Close: 'close',
+  High: 'high',
+  Low: 'low',
+  'Adj Close': 'adjClose',
+};
+
+function likelySplitRatio(previous, current) {
+  const ratio = previous > current ? previous / current : current / previous;
+  const match = SPLIT_RATIOS.find((factor) => Math.abs(ratio / factor - 1) <= SPLIT_TOLERANCE);
+  if (!match) {
+    return null;
+  }
+  return previous > current ? `${match}:1` : `1:${match}`;
+}
+
+function pushExample(list, item) {
+  if (list.length < MAX_EXAMPLES) {
+    list.push(item);
+  }
+}
+
+function inspectSymbol(symbol, symbolRows, {
+  dates,
+  availableColumns,
+  duplicates,
+  conflicts,
+  fillStats,
+  droppedSymbols,
+}) {
+  const priceColumns = availableColumns.filter((column) => column in PRICE_FIELDS);
+  const checkVolume = availableColumns.includes('Volume');
+
+  const nonNumeric = { count: 0, examples: [] };
+  const nonPositive = { count: 0, examples: [] };
+  symbolRows.forEach((row) => {
+    priceColumns.forEach((column) => {
+      const value = row[PRICE_FIELDS[column]];
+      if (!Number.isFinite(value)) {
+        nonNumeric.count += 1;
+        pushExample(nonNumeric.examples, { date: row.date, column });
+      } else if (value <= 0) {
+        nonPositive.count += 1;
+        pushExample(nonPositive.examples, { date: row.date, column, value });
+      }
+    });
+    if (checkVolume) {
+      const volume = row[OPTIONAL_COLUMNS.Volume];
+      if (!Number.isFinite(volume)) {
+        nonNumeric.count += 1;
+        pushExample(nonNumeric.examples, { date: row.date, column: 'Volume' });
+      } else if (volume < 0) {
+        nonPositive.count += 1;
+        pushExample(nonPositive.examples, { date: row.date, column: 'Volume', value: volume });
+      }
+    }
+  });
+
+  const jumps = [];
+  let previous = null;
+  symbolRows.forEach((row) => {
+    if (!Number.isFinite(row.close) || row.close <= 0) {
+      return;
+    }
+    if (previous) {
+      const change = row.close / previous.close - 1;
+      if (Math.abs(change) > JUMP_THRESHOLD) {
+        jumps.push({
+          date: row.date,
+          previousDate: previous.date,
+          previousClose: previous.close,
+          close: row.close,
+          change,
+          splitRatio: likelySplitRatio(previous.close, row.close),
+        });
+      }
+    }
+    previous = row;
+  });
+
+  const firstDate = symbolRows[0]?.date ?? null;
+  const lastDate = symbolRows[symbolRows.length - 1]?.date ?? null;
+  const present = new Set(symbolRows.map(({ date }) => date));
+  const missingDates = firstDate
+    ? dates.filter((date) => date >= firstDate && date <= lastDate && !present.has(date))
+    : [];
+
+  // Coverage is measured on the union calendar, so symbols a policy dropped still
+  // show how much of it they were missing; fillStats only exists for kept symbols.
+  const priced = new Set(symbolRows
+    .filter(({ open, close }) => Number.isFinite(open) && Number.isFinite(close))
+    .map(({ date }) => date));
+  const unpricedDays = dates.filter((date) => !priced.has(date)).length;
+  const filledValues = Object.values(fillStats[symbol] || {}).reduce((acc, count) => acc + count, 0);
+
+  return {
+    symbol,
+    dropped: droppedSymbols.includes(symbol),
+    rows: symbolRows.length,
+    firstDate,
+    lastDate,
+    missingTradingDays: {
+      count: missingDates.length,
+      examples: missingDates.slice(0, MAX_EXAMPLES),
+    },
+    duplicates: {
+      identical: duplicates[symbol] || 0,
+      conflicting: conflicts.filter((conflict) => conflict.symbol === symbol).length,
+    },
+    nonNumericPrices: nonNumeric,
+    nonPositivePrices: nonPositive,
+    suspiciousJumps: jumps,
+    filled: {
+      days: unpricedDays,
+      share: dates.length > 0 ? unpricedDays / dates.length : 0,
+      values: filledValues,
+      byColumn: { ...(fillStats[symbol] || {}) },
+    },
+  };
+}
+
+export function buildQualityReport({
+  rows,
+  dates,
+  symbols,
+  availableColumns,
+  mergeReport,
+  fillStats = {},
+  droppedSymbols = [],
+}) {
+  const rowsBySymbol = {};
+  symbols.forEach((symbol) => {
+    rowsBySymbol[symbol] = [];
+  });
+  rows.forEach((row) => {
+    rowsBySymbol[row.symbol]?.push(row);
+  });
+
+  const duplicates = mergeReport?.duplicatesBySymbol ?? {};
+  const conflicts = mergeReport?.conflicts ?? [];
+  const skipped = mergeReport?.skipped ?? [];
+
+  const perSymbol = symbols.map((symbol) => inspectSymbol(symbol, rowsBySymbol[symbol], {
+    dates,
+    availableColumns,
+    duplicates,
+    conflicts,
+    fillStats,
+    droppedSymbols,
+  }));
+
+  const skippedBySymbol = {};
+  skipped.forEach(({ symbol }) => {
+    const key = symbol ?? '(unknown)';
+    skippedBySymbol[key] = (skippedBySymbol[key] || 0) + 1;
+  });
+  perSymbol.forEach((entry) => {
+    entry.skippedRows = skippedBySymbol[entry.symbol] || 0;
+  });
+
+  const total = (pick) => perSymbol.reduce((acc, entry) => acc + pick(entry), 0);
+  const calendarSlots = symbols.length * dates.length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      symbols: symbols.length,
+      rows: rows.length,
+      tradingDays: dates.length,
+      skippedRows: mergeReport?.skippedCount ?? 0,
+      missingTradingDays: total((entry) => entry.missingTradingDays.count),
+      identicalDuplicates: mergeReport?.identicalDuplicates ?? 0,
+      conflictingDuplicates: conflicts.length,
+      nonNumericPrices: total((entry) => entry.nonNumericPrices.count),
+      nonPositivePrices: total((entry) => entry.nonPositivePrices.count),
+      suspiciousJumps: total((entry) => entry.suspiciousJumps.length),
+      filledShare: calendarSlots > 0 ? total((entry) => entry.filled.days) / calendarSlots : 0,
+      droppedSymbols: droppedSymbols.slice(),
+    },
+    sources: mergeReport?.sources ?? [],
+    skippedRows: {
+      count: mergeReport?.skippedCount ?? 0,
+      details: skipped,
+      bySymbol: skippedBySymbol,
+    },
+    perSymbol,
+  };
+}
@@ -0,0 +1,667 @@
+import { SCALING_METHODS } from './scaler.js';
+
+export const FEATURE_INPUTS = ['Open', 'Close', 'High', 'Low', 'AdjClose', 'Volume', 'Available'];
+
+function safeDivide(numerator, denominator, fallback = 0) {
+  if (!Number.isFinite(numerator) || !Number.isFinite(denominator) || denominator === 0) {
+    return fallback;
+  }
+  return numerator / denominator;
+}
+
+function computeSMA(series, period) {
+  const result = new Array(series.length).fill(0);
+  let windowSum = 0;
+
+  for (let i = 0; i < series.length; i += 1) {
+    const value = Number.isFinite(series[i]) ? series[i] : 0;
+    windowSum += value;
+
+    if (i >= period) {
+      const outgoing = Number.isFinite(series[i - period]) ? series[i - period] : 0;
+      windowSum -= outgoing;
+    }
+
+    if (i >= period - 1) {
+      result[i] = windowSum / period;
+    }
+  }
+
+  return result;
+}
+
+function computeEMA(series, period) {
+  const result = new Array(series.length).fill(0);
+  if (period <= 1) {
+    return series.map((value) => (Number.isFinite(value) ? value : 0));
+  }
+
+  const smoothing = 2 / (period + 1);
+  let ema = null;
+
+  for (let i = 0; i < series.length; i += 1) {
+    const value = Number.isFinite(series[i]) ? series[i] : (ema ?? 0);
+
+    if (ema === null) {
+      const windowStart = Math.max(0, i - period + 1);
+      const window = series.slice(windowStart, i + 1).filter((v) => Number.isFinite(v));
+      ema = window.length > 0 ? window.reduce((acc, v) => acc + v, 0) / window.length : value;
+    } else {
+      ema = (value - ema) * smoothing + ema;
+    }
+
+    result[i] = Number.isFinite(ema) ? ema : 0;
+  }
+
+  return result;
+}
+
+function computeRSI(series, period = 14) {
+  const result = new Array(series.length).fill(50);
+  if (series.length < 2) {
+    return result;
+  }
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i < series.length; i += 1) {
+    const current = Number.isFinite(series[i]) ? series[i] : series[i - 1];
+    const previous = Number.isFinite(series[i - 1]) ? series[i - 1] : current;
+    const change = current - previous;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+
+    if (i <= period) {
+      avgGain += gain;
+      avgLoss += loss;
+
+      if (i === period) {
+        avgGain /= period;
+        avgLoss /= period;
+      }
+    } else {
+      avgGain = ((avgGain * (period - 1)) + gain) / period;
+      avgLoss = ((avgLoss * (period - 1)) + loss) / period;
+    }
+
+    if (i >= period) {
+      if (avgLoss === 0) {
+        result[i] = 100;
+      } else {
+        const rs = avgGain / avgLoss;
+        result[i] = 100 - 100 / (1 + rs);
+      }
+    }
+  }
+
+  return result.map((value) => (Number.isFinite(value) ? value : 50));
+}
+
+function computeRollingMeanStd(series, period) {
+  const means = new Array(series.length).fill(Number.NaN);
+  const stds = new Array(series.length).fill(Number.NaN);
+
+  for (let i = period - 1; i < series.length; i += 1) {
+    const window = series.slice(i - period + 1, i + 1);
+    if (window.some((v) => !Number.isFinite(v))) {
+      continue;
+    }
+    const mean = window.reduce((acc, v) => acc + v, 0) / period;
+    const variance = window.reduce((acc, v) => acc + (v - mean) ** 2, 0) / period;
+    means[i] = mean;
+    stds[i] = Math.sqrt(variance);
+  }
+
+  return { means, stds };
+}
+
+function computeRollingRange(highs, lows, period) {
+  return highs.map((_, index) => {
+    if (index < period - 1) {
+      return null;
+    }
+    let highest = Number.NEGATIVE_INFINITY;
+    let lowest = Number.POSITIVE_INFINITY;
+    for (let i = index - period + 1; i <= index; i += 1) {
+      if (!Number.isFinite(highs[i]) || !Number.isFinite(lows[i])) {
+        return null;
+      }
+      highest = Math.max(highest, highs[i]);
+      lowest = Math.min(lowest, lows[i]);
+    }
+    return { highest, lowest };
+  });
+}
+
+function computeTrueRange(highs, lows, closes) {
+  return highs.map((high, index) => {
+    const low = lows[index];
+    const previousClose = index > 0 ? closes[index - 1] : closes[index];
+    if (!Number.isFinite(high) || !Number.isFinite(low) || !Number.isFinite(previousClose)) {
+      return 0;
+    }
+    const range = Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+    return safeDivide(range, previousClose, 0);
+  });
+}
+
+function computeOBV(closes, volumes) {
+  let obv = 0;
+  return closes.map((close, index) => {
+    if (index === 0) {
+      return 0;
+    }
+    const previous = closes[index - 1];
+    const volume = Number.isFinite(volumes[index]) ? volumes[index] : 0;
+    if (Number.isFinite(close) && Number.isFinite(previous)) {
+      if (close > previous) {
+        obv += volume;
+      } else if (close < previous) {
+        obv -= volume;
+      }
+    }
+    return obv;
+  });
+}
+
+function computeVWAPGap(highs, lows, closes, volumes, period) {
+  return closes.map((close, index) => {
+    if (index < period - 1) {
+      return 0;
+    }
+    let weighted = 0;
+    let totalVolume = 0;
+    for (let i = index - period + 1; i <= index; i += 1) {
+      const typical = (highs[i] + lows[i] + closes[i]) / 3;
+      if (!Number.isFinite(typical) || !Number.isFinite(volumes[i])) {
+        return 0;
+      }
+      weighted += typical * volumes[i];
+      totalVolume += volumes[i];
+    }
+    const vwap = safeDivide(weighted, totalVolume, Number.NaN);
+    return Number.isFinite(vwap) ? safeDivide(close - vwap, vwap, 0) : 0;
+  });
+}
+
+function computeChange(series, lag, { logarithmic = false } = {}) {
+  return series.map((value, index) => {
+    if (index < lag) {
+      return 0;
+    }
+    const baseline = series[index - lag];
+    if (!Number.isFinite(value) || !Number.isFinite(baseline) || baseline === 0) {
+      return 0;
+    }
+    if (logarithmic) {
+      return baseline < 0 ? 0 : Math.log(value / baseline);
+    }
+    return (value - baseline) / baseline;
+  });
+}
+
+function computeVolatility(series, period) {
+  return series.map((_, index) => {
+    if (index < period - 1) {
+      return 0;
+    }
+    const window = series.slice(index - period + 1, index + 1);
+    if (window.some((v) => !Number.isFinite(v))) {
+      return 0;
+    }
+    const mean = window.reduce((acc, v) => acc + v, 0) / window.length;
+    if (!Number.isFinite(mean) || mean === 0) {
+      return 0;
+    }
+    const variance = window.reduce((acc, v) => acc + (v - mean) ** 2, 0) / window.length;
+    const std = Math.sqrt(variance);
+    if (!Number.isFinite(std)) {
+      return 0;
+    }
+    return std / mean;
+  });
+}
+
+function computeMACD(closes, { fast, slow }) {
+  const fastEMA = computeEMA(closes, fast);
+  const slowEMA = computeEMA(closes, slow);
+  return fastEMA.map((value, index) => value - slowEMA[index]);
+}
+
+function computeStochasticK(highs, lows, closes, period) {
+  return computeRollingRange(highs, lows, period).map((range, index) => {
+    if (!range) {
+      return 50;
+    }
+    return 100 * safeDivide(closes[index] - range.lowest, range.highest - range.lowest, 0.5);
+  });
+}
+
+function universeReturns({ symbols, prices, cache }) {
+  if (!cache.has('universeReturns')) {
+    const bySymbol = {};
+    symbols.forEach((symbol) => {
+      bySymbol[symbol] = computeChange(prices[symbol].Close, 1);
+    });
+
+    const length = bySymbol[symbols[0]].length;
+    const mean = new Array(length).fill(0);
+    const dispersion = new Array(length).fill(0);
+    for (let i = 0; i < length; i += 1) {
+      const values = symbols.map((symbol) => bySymbol[symbol][i]);
+      mean[i] = values.reduce((acc, value) => acc + value, 0) / values.length;
+      dispersion[i] = Math.sqrt(values.reduce((acc, value) => acc + (value - mean[i]) ** 2, 0) / values.length);
+    }
+
+    cache.set('universeReturns', { bySymbol, mean, dispersion });
+  }
+  return cache.get('universeReturns');
+}
+
+function computeReturnRank(symbol, universe) {
+  const own = universe.bySymbol[symbol];
+  const others = Object.values(universe.bySymbol);
+  return own.map((value, index) => {
+    let below = 0;
+    let ties = 0;
+    others.forEach((series) => {
+      if (series[index] < value) {
+        below += 1;
+      } else if (series[index] === value) {
+        ties += 1;
+      }
+    });
+    // Ties share the average rank; the symbol itself is one of the ties.
+    return safeDivide(below + (ties - 1) / 2, others.length - 1, 0.5);
+  });
+}
+
+function computeRollingBeta(series, market, period, { correlation = false } = {}) {
+  return series.map((_, index) => {
+    if (index < period) {
+      return correlation ? 0 : 1;
+    }
+    let sumX = 0;
+    let sumY = 0;
+    for (let i = index - period + 1; i <= index; i += 1) {
+      sumX += market[i];
+      sumY += series[i];
+    }
+    const meanX = sumX / period;
+    const meanY = sumY / period;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = index - period + 1; i <= index; i += 1) {
+      covariance += (market[i] - meanX) * (series[i] - meanY);
+      varianceX += (market[i] - meanX) ** 2;
+      varianceY += (series[i] - meanY) ** 2;
+    }
+    if (correlation) {
+      return safeDivide(covariance, Math.sqrt(varianceX * varianceY), 0);
+    }
+    return safeDivide(covariance, varianceX, 1);
+  });
+}
+
+export class FeatureRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  register({
+    name,
+    inputs = ['Close'],
+    params = {},
+    compute,
+    scaling = 'standard',
+    enabled = true,
+    group = name,
+    minSymbols = 1,
+  }) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('A feature needs a name.');
+    }
+    if (typeof compute !== 'function') {
+      throw new Error(`Feature ${name} needs a compute function.`);
+    }
+    const unknownInputs = inputs.filter((input) => !FEATURE_INPUTS.includes(input));
+    if (unknownInputs.length > 0) {
+      throw new Error(`Feature ${name} uses unknown inputs: ${unknownInputs.join(', ')}`);
+    }
+    if (!SCALING_METHODS.includes(scaling)) {
+      throw new Error(`Unknown scaling method "${scaling}" for feature ${name}.`);
+    }
+
+    this.definitions.set(name, {
+      name,
+      inputs: inputs.slice(),
+      params: { ...params },
+      compute,
+      scaling,
+      enabled,
+      group,
+      minSymbols,
+    });
+    return this;
+  }
+
+  unregister(name) {
+    this.definitions.delete(name);
+    return this;
+  }
+
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  get(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown feature: ${name}`);
+    }
+    return definition;
+  }
+
+  list() {
+    return Array.from(this.definitions.values());
+  }
+
+  setParams(name, params) {
+    const definition = this.get(name);
+    definition.params = { ...definition.params, ...params };
+    return this;
+  }
+
+  resolve(availableInputs, selection = null, { symbolCount = Number.POSITIVE_INFINITY } = {}) {
+    return this.list()
+      .filter(({ name, enabled }) => (selection ? selection.includes(name) : enabled))
+      .filter(({ inputs }) => inputs.every((input) => availableInputs.includes(input)))
+      .filter(({ minSymbols }) => symbolCount >= minSymbols)
+      .map(({ name }) => name);
+  }
+
+  groupsOf(names) {
+    const groups = new Map();
+    names.forEach((name) => {
+      const { group } = this.get(name);
+      groups.set(group, [...(groups.get(group) || []), name]);
+    });
+    return groups;
+  }
+
+  scalingMethods() {
+    return this.list().reduce((acc, { name, scaling }) => ({ ...acc, [name]: scaling }), {});
+  }
+
+  // `context` carries { symbol, symbols, prices, cache } so cross-sectional
+  // features can read the whole universe; per-symbol features ignore it.
+  compute(name, columns, length, context = {}) {
+    const { inputs, params, compute } = this.get(name);
+    const series = inputs.reduce((acc, input) => ({ ...acc, [input]: columns[input] }), {});
+    const result = compute(series, params, context);
+    if (!Array.isArray(result) || result.length !== length) {
+      throw new Error(`Feature ${name} must return one value per date.`);
+    }
+    return result;
+  }
+}
+
+export function createDefaultRegistry() {
+  const registry = new FeatureRegistry();
+
+  registry
+    .register({
+      name: 'Open',
+      group: 'price',
+      inputs: ['Open'],
+      scaling: 'minmax',
+      compute: ({ Open }) => Open.slice(),
+    })
+    .register({
+      name: 'Close',
+      group: 'price',
+      inputs: ['Close'],
+      scaling: 'minmax',
+      compute: ({ Close }) => Close.slice(),
+    })
+    .register({
+      name: 'CloseToOpen',
+      group: 'returns',
+      inputs: ['Open', 'Close'],
+      compute: ({ Open, Close }) => Close.map((value, index) => safeDivide(value - Open[index], Open[index], 0)),
+    })
+    .register({
+      name: 'Return',
+      group: 'returns',
+      params: { lag: 1 },
+      compute: ({ Close }, { lag }) => computeChange(Close, lag),
+    })
+    .register({
+      name: 'LogReturn',
+      group: 'returns',
+      params: { lag: 1 },
+      compute: ({ Close }, { lag }) => computeChange(Close, lag, { logarithmic: true }),
+    })
+    .register({
+      name: 'Momentum3',
+      group: 'momentum',
+      params: { lag: 3 },
+      compute: ({ Close }, { lag }) => computeChange(Close, lag),
+    })
+    .register({
+      name: 'Momentum7',
+      group: 'momentum',
+      params: { lag: 7 },
+      compute: ({ Close }, { lag }) => computeChange(Close, lag),
+    })
+    .register({
+      name: 'Volatility5',
+      group: 'volatility',
+      params: { period: 5 },
+      compute: ({ Close }, { period }) => computeVolatility(Close, period),
+    })
+    .register({
+      name: 'Volatility10',
+      group: 'volatility',
+      params: { period: 10 },
+      compute: ({ Close }, { period }) => computeVolatility(Close, period),
+    })
+    .register({
+      name: 'SMA5',
+      group: 'trend',
+      params: { period: 5 },
+      compute: ({ Close }, { period }) => computeSMA(Close, period),
+    })
+    .register({
+      name: 'EMA10',
+      group: 'trend',
+      params: { period: 10 },
+      compute: ({ Close }, { period }) => computeEMA(Close, period),
+    })
+    .register({
+      name: 'RSI14',
+      group: 'oscillators',
+      params: { period: 14 },
+      compute: ({ Close }, { period }) => computeRSI(Close, period),
+    })
+    .register({
+      name: 'MACD',
+      group: 'trend',
+      params: { fast: 12, slow: 26 },
+      compute: ({ Close }, params) => computeMACD(Close, params)
+        .map((value) => (Number.isFinite(value) ? value : 0)),
+    })
+    .register({
+      name: 'MACDSignal',
+      group: 'trend',
+      params: { fast: 12, slow: 26, signal: 9 },
+      compute: ({ Close }, params) => computeEMA(computeMACD(Close, params), params.signal)
+        .map((value) => (Number.isFinite(value) ? value : 0)),
+    })
+    .register({
+      name: 'IntradayRange',
+      group: 'volatility',
+      inputs: ['High', 'Low', 'Close'],
+      compute: ({ High, Low, Close }) => High.map((high, index) => safeDivide(high - Low[index], Close[index], 0)),
+    })
+    .register({
+      name: 'TrueRange',
+      group: 'volatility',
+      inputs: ['High', 'Low', 'Close'],
+      compute: ({ High, Low, Close }) => computeTrueRange(High, Low, Close),
+    })
+    .register({
+      name: 'ATR14',
+      group: 'volatility',
+      inputs: ['High', 'Low', 'Close'],
+      params: { period: 14 },
+      // Wilder's smoothing over N days is an EMA with period 2N - 1.
+      compute: ({ High, Low, Close }, { period }) => computeEMA(computeTrueRange(High, Low, Close), 2 * period - 1),
+    })
+    .register({
+      name: 'AdjReturn',
+      group: 'returns',
+      inputs: ['AdjClose'],
+      compute: ({ AdjClose }) => AdjClose.map((value, index) => {
+        if (index === 0) {
+          return 0;
+        }
+        return safeDivide(value - AdjClose[index - 1], AdjClose[index - 1], 0);
+      }),
+    })
+    .register({
+      name: 'OBV',
+      group: 'volume',
+      inputs: ['Close', 'Volume'],
+      compute: ({ Close, Volume }) => computeOBV(Close, Volume),
+    })
+    .register({
+      name: 'VolumeZScore20',
+      group: 'volume',
+      inputs: ['Volume'],
+      params: { period: 20 },
+      compute: ({ Volume }, { period }) => {
+        const { means, stds } = computeRollingMeanStd(Volume, period);
+        return Volume.map((volume, index) => safeDivide(volume - means[index], stds[index], 0));
+      },
+    })
+    .register({
+      name: 'VWAPGap20',
+      group: 'volume',
+      inputs: ['High', 'Low', 'Close', 'Volume'],
+      params: { period: 20 },
+      compute: ({
+        High,
+        Low,
+        Close,
+        Volume,
+      }, { period }) => computeVWAPGap(High, Low, Close, Volume, period),
+    })
+    .register({
+      name: 'BollingerPercentB20',
+      group: 'oscillators',
+      params: { period: 20, width: 2 },
+      enabled: false,
+      compute: ({ Close }, { period, width }) => {
+        const { means, stds } = computeRollingMeanStd(Close, period);
+        return Close.map((close, index) => {
+          const lower = means[index] - width * stds[index];
+          return safeDivide(close - lower, 2 * width * stds[index], 0.5);
+        });
+      },
+    })
+    .register({
+      name: 'BollingerWidth20',
+      group: 'volatility',
+      params: { period: 20, width: 2 },
+      enabled: false,
+      compute: ({ Close }, { period, width }) => {
+        const { means, stds } = computeRollingMeanStd(Close, period);
+        return means.map((mean, index) => safeDivide(2 * width * stds[index], mean, 0));
+      },
+    })
+    .register({
+      name: 'StochasticK14',
+      group: 'oscillators',
+      inputs: ['High', 'Low', 'Close'],
+      params: { period: 14 },
+      enabled: false,
+      compute: ({ High, Low, Close }, { period }) => computeStochasticK(High, Low, Close, period),
+    })
+    .register({
+      name: 'StochasticD3',
+      group: 'oscillators',
+      inputs: ['High', 'Low', 'Close'],
+      params: { period: 14, smoothing: 3 },
+      enabled: false,
+      compute: ({ High, Low, Close }, { period, smoothing }) => (
+        computeSMA(computeStochasticK(High, Low, Close, period), smoothing)
+      ),
+    })
+    .register({
+      name: 'WilliamsR14',
+      group: 'oscillators',
+      inputs: ['High', 'Low', 'Close'],
+      params: { period: 14 },
+      enabled: false,
+      compute: ({ High, Low, Close }, { period }) => computeRollingRange(High, Low, period).map((range, index) => {
+        if (!range) {
+          return -50;
+        }
+        return -100 * safeDivide(range.highest - Close[index], range.highest - range.lowest, 0.5);
+      }),
+    })
+    .register({
+      name: 'ReturnRank',
+      group: 'cross-sectional',
+      minSymbols: 2,
+      scaling: 'none',
+      compute: (_, __, context) => computeReturnRank(context.symbol, universeReturns(context)),
+    })
+    .register({
+      name: 'ExcessReturn',
+      group: 'cross-sectional',
+      minSymbols: 2,
+      compute: (_, __, context) => {
+        const universe = universeReturns(context);
+        return universe.bySymbol[context.symbol].map((value, index) => value - universe.mean[index]);
+      },
+    })
+    .register({
+      name: 'Beta20',
+      group: 'cross-sectional',
+      minSymbols: 2,
+      params: { period: 20 },
+      compute: (_, { period }, context) => {
+        const universe = universeReturns(context);
+        return computeRollingBeta(universe.bySymbol[context.symbol], universe.mean, period);
+      },
+    })
+    .register({
+      name: 'Correlation20',
+      group: 'cross-sectional',
+      minSymbols: 2,
+      params: { period: 20 },
+      compute: (_, { period }, context) => {
+        const universe = universeReturns(context);
+        return computeRollingBeta(universe.bySymbol[context.symbol], universe.mean, period, { correlation: true });
+      },
+    })
+    .register({
+      name: 'Dispersion',
+      group: 'cross-sectional',
+      minSymbols: 2,
+      compute: (_, __, context) => universeReturns(context).dispersion.slice(),
+    })
+    .register({
+      name: 'Available',
+      group: 'availability',
+      inputs: ['Available'],
+      scaling: 'none',
+      compute: ({ Available }) => Available.slice(),
+    });
+
+  return registry;
+}
@@ -1,3 +1,11 @@
+import {
+  CausalConv1D,
+  LastTimestep,
+  MultiHeadSelfAttention,
+  PositionEmbedding,
+} from './layers.js';
+import { computeClassificationMetrics } from './metrics.js';
+
 const tf = globalThis.tf;
 
 if (!tf || typeof tf.sequential !== 'function') {
@@ -41,6 +49,277 @@ function setLearningRate(optimizer, value) {
 
 const HAS_LAYER_NORM = typeof tf.layers.layerNormalization === 'function';
 
+// Labels of -1 mark targets without real prices (masked missing data); they are
+// left out of both the loss and the accuracy metric.
+export function maskedBinaryCrossentropy(yTrue, yPred) {
+  return tf.tidy(() => {
+    const mask = yTrue.greaterEqual(0).toFloat();
+    const labels = yTrue.maximum(0);
+    const probs = yPred.clipByValue(1e-7, 1 - 1e-7);
+    const losses = labels.mul(probs.log()).add(tf.scalar(1).sub(labels).mul(tf.scalar(1).sub(probs).log())).neg();
+    return losses.mul(mask).sum().div(mask.sum().maximum(1));
+  });
+}
+
+function binaryAccuracy(yTrue, yPred) {
+  return tf.tidy(() => {
+    const mask = yTrue.greaterEqual(0).toFloat();
+    const hits = yPred.greaterEqual(0.5).toFloat().equal(yTrue).toFloat();
+    return hits.mul(mask).sum().div(mask.sum().maximum(1));
+  });
+}
+
+// Multi-class labels are one-hot rows; an all-zero row is a masked target.
+export function maskedCategoricalCrossentropy(yTrue, yPred) {
+  return tf.tidy(() => {
+    const mask = yTrue.sum(-1);
+    const probs = yPred.clipByValue(1e-7, 1);
+    const losses = yTrue.mul(probs.log()).sum(-1).neg();
+    return losses.mul(mask).sum().div(mask.sum().maximum(1));
+  });
+}
+
+function categoricalAccuracy(yTrue, yPred) {
+  return tf.tidy(() => {
+    const mask = yTrue.sum(-1);
+    const hits = yTrue.argMax(-1).equal(yPred.argMax(-1)).toFloat();
+    return hits.mul(mask).sum().div(mask.sum().maximum(1));
+  });
+}
+
+// Regression targets are forward returns; NaN marks a masked target.
+function maskedErrors(yTrue, yPred) {
+  const mask = yTrue.isNaN().logicalNot().toFloat();
+  const errors = yPred.sub(tf.where(yTrue.isNaN(), tf.zerosLike(yTrue), yTrue)).mul(mask);
+  return { mask, errors };
+}
+
+function maskedMeanSquaredError(yTrue, yPred) {
+  return tf.tidy(() => {
+    const { mask, errors } = maskedErrors(yTrue, yPred);
+    return errors.square().sum().div(mask.sum().maximum(1));
+  });
+}
+
+function createMaskedHuberLoss(delta) {
+  return function maskedHuber(yTrue, yPred) {
+    return tf.tidy(() => {
+      const { mask, errors } = maskedErrors(yTrue, yPred);
+      const absolute = errors.abs();
+      const quadratic = absolute.minimum(delta);
+      const linear = absolute.sub(quadratic);
+      const losses = quadratic.square().mul(0.5).add(linear.mul(delta));
+      return losses.sum().div(mask.sum().maximum(1));
+    });
+  };
+}
+
+function meanAbsoluteError(yTrue, yPred) {
+  return tf.tidy(() => {
+    const { mask, errors } = maskedErrors(yTrue, yPred);
+    return errors.abs().sum().div(mask.sum().maximum(1));
+  });
+}
+
+// Quantile outputs have a trailing axis with one forecast per quantile level; the
+// targets are repeated along it (see prepareTargets).
+function createPinballLoss(quantiles) {
+  return function pinballLoss(yTrue, yPred) {
+    return tf.tidy(() => {
+      const levels = tf.tensor1d(quantiles);
+      const { mask, errors } = maskedErrors(yTrue, yPred);
+      const residuals = errors.neg();
+      const losses = tf.maximum(residuals.mul(levels), residuals.mul(levels.sub(1)));
+      return losses.sum().div(mask.sum().maximum(1));
+    });
+  };
+}
+
+function intervalCoverage(yTrue, yPred) {
+  return tf.tidy(() => {
+    const labels = yTrue.mean(-1);
+    const mask = labels.isNaN().logicalNot().toFloat();
+    const inside = labels.greaterEqual(yPred.min(-1)).logicalAnd(labels.lessEqual(yPred.max(-1))).toFloat();
+    return inside.mul(mask).sum().div(mask.sum().maximum(1));
+  });
+}
+
+export const BACKBONES = ['gru', 'lstm', 'tcn', 'transformer'];
+
+export const DEFAULT_ARCHITECTURE = {
+  backbone: 'gru',
+  dropoutRate: 0.25,
+  gruUnits: [128, 96, 64],
+  denseUnits: [128, 64],
+  bidirectional: true,
+  learningRate: 0.001,
+  recurrentDropout: 0.1,
+  convFilters: [96],
+  convKernelSize: 3,
+  convActivation: 'relu',
+  convDropout: 0.1,
+  tcnFilters: 64,
+  tcnKernelSize: 3,
+  tcnDilations: [1, 2, 4, 8],
+  attentionHeads: 4,
+  attentionKeyDim: 16,
+  transformerBlocks: 2,
+  feedForwardUnits: 128,
+};
+
+export const ARCHITECTURE_PRESETS = {
+  small: {
+    ...DEFAULT_ARCHITECTURE,
+    dropoutRate: 0.2,
+    gruUnits: [32],
+    denseUnits: [32],
+    bidirectional: false,
+    learningRate: 0.002,
+    recurrentDropout: 0,
+    convFilters: [32],
+    tcnFilters: 32,
+    tcnDilations: [1, 2, 4],
+    attentionHeads: 2,
+    attentionKeyDim: 8,
+    transformerBlocks: 1,
+    feedForwardUnits: 64,
+  },
+  default: DEFAULT_ARCHITECTURE,
+  large: {
+    ...DEFAULT_ARCHITECTURE,
+    dropoutRate: 0.3,
+    gruUnits: [192, 128, 96],
+    denseUnits: [192, 96],
+    learningRate: 0.0007,
+    recurrentDropout: 0.15,
+    convFilters: [128, 128],
+    tcnFilters: 96,
+    tcnDilations: [1, 2, 4, 8, 16],
+    attentionKeyDim: 24,
+    transformerBlocks: 3,
+    feedForwardUnits: 256,
+  },
+};
+
+export const MODEL_TASKS = ['classification', 'regression'];
+
+export const REGRESSION_LOSSES = ['mse', 'huber', 'quantile'];
+
+const MODEL_FORMAT_VERSION = 1;
+
+function encodeFloat32(values) {
+  const bytes = new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeFloat32(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return new Float32Array(bytes.buffer);
+}
+
+function argMax(values) {
+  let best = 0;
+  for (let index = 1; index < values.length; index += 1) {
+    if (values[index] > values[best]) {
+      best = index;
+    }
+  }
+  return best;
+}
+
+export function analyseClassPredictions(predictionsArray, groundTruthArray, symbols, predictionDays, classes) {
+  const isBinary = classes === 2;
+  const perStockTimeline = {};
+  const perStockTotals = {};
+  const perStockConfusion = {};
+  let globalCorrect = 0;
+  let globalTotal = 0;
+
+  const decodePrediction = (value) => (isBinary ? (value >= 0.5 ? 1 : 0) : argMax(value));
+  const decodeActual = (value) => {
+    if (isBinary) {
+      return value < 0 ? null : value;
+    }
+    return value.some((entry) => entry > 0) ? argMax(value) : null;
+  };
+
+  symbols.forEach((symbol) => {
+    perStockTimeline[symbol] = [];
+    perStockTotals[symbol] = { correct: 0, total: 0 };
+    // Rows are actual classes, columns predicted classes.
+    perStockConfusion[symbol] = {
+      matrix: Array.from({ length: classes }, () => new Array(classes).fill(0)),
+    };
+  });
+
+  predictionsArray.forEach((row, rowIndex) => {
+    symbols.forEach((symbol, stockIdx) => {
+      const offset = stockIdx * predictionDays;
+      let correctCount = 0;
+      const perDayFlags = [];
+
+      for (let day = 0; day < predictionDays; day += 1) {
+        const pred = decodePrediction(row[offset + day]);
+        const actual = decodeActual(groundTruthArray[rowIndex][offset + day]);
+        if (actual === null) {
+          perDayFlags.push({ predicted: pred, actual: null, correct: null, masked: true });
+          continue;
+        }
+
+        perStockConfusion[symbol].matrix[actual][pred] += 1;
+
+        if (pred === actual) {
+          correctCount += 1;
+          globalCorrect += 1;
+        }
+        globalTotal += 1;
+        perDayFlags.push({ predicted: pred, actual, correct: pred === actual });
+      }
+
+      const validDays = perDayFlags.filter((flag) => !flag.masked).length;
+      perStockTimeline[symbol].push({
+        correctCount,
+        total: validDays,
+        perDayFlags,
+      });
+
+      perStockTotals[symbol].correct += correctCount;
+      perStockTotals[symbol].total += validDays;
+    });
+  });
+
+  if (isBinary) {
+    Object.values(perStockConfusion).forEach((confusion) => {
+      const [[tn, fp], [fn, tp]] = confusion.matrix;
+      Object.assign(confusion, { tp, fp, fn, tn });
+    });
+  }
+
+  const perStockAccuracy = {};
+  symbols.forEach((symbol) => {
+    const { correct, total } = perStockTotals[symbol];
+    perStockAccuracy[symbol] = total === 0 ? 0 : correct / total;
+  });
+
+  const overallAccuracy = globalTotal === 0 ? 0 : globalCorrect / globalTotal;
+
+  return {
+    classes,
+    perStockAccuracy,
+    perStockTimeline,
+    perStockConfusion,
+    overallAccuracy,
+  };
+}
+
 function createReduceLROnPlateauCallback(optimizer, {
   monitor = 'val_loss',
   factor = 0.5,
@@ -82,30 +361,223 @@ function createReduceLROnPlateauCallback(optimizer, {
   });
 }
 
+function requirePositiveIntegers(name, values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error(`${name} must be a non-empty array`);
+  }
+  if (values.some((value) => !Number.isInteger(value) || value <= 0)) {
+    throw new Error(`${name} must contain positive whole numbers`);
+  }
+}
+
+function validateBackbone(config) {
+  if (config.backbone === 'tcn') {
+    requirePositiveIntegers('tcnFilters', [config.tcnFilters]);
+    requirePositiveIntegers('tcnKernelSize', [config.tcnKernelSize]);
+    requirePositiveIntegers('tcnDilations', config.tcnDilations);
+  } else if (config.backbone === 'transformer') {
+    requirePositiveIntegers('attentionHeads', [config.attentionHeads]);
+    requirePositiveIntegers('attentionKeyDim', [config.attentionKeyDim]);
+    requirePositiveIntegers('transformerBlocks', [config.transformerBlocks]);
+    requirePositiveIntegers('feedForwardUnits', [config.feedForwardUnits]);
+  } else {
+    requirePositiveIntegers('gruUnits', config.gruUnits);
+    if (Array.isArray(config.convFilters) && config.convFilters.length > 0) {
+      requirePositiveIntegers('convFilters', config.convFilters);
+      requirePositiveIntegers('convKernelSize', [].concat(config.convKernelSize));
+    }
+  }
+}
+
+function normalise(x) {
+  return HAS_LAYER_NORM ? tf.layers.layerNormalization().apply(x) : x;
+}
+
+// GRU or LSTM stack, optionally behind a causal convolution front-end.
+function buildRecurrentBackbone(inputs, {
+  backbone,
+  gruUnits,
+  bidirectional,
+  dropoutRate,
+  recurrentDropout,
+  convFilters,
+  convKernelSize,
+  convActivation,
+  convDropout,
+}) {
+  let x = inputs;
+
+  (Array.isArray(convFilters) ? convFilters : []).forEach((filters, idx) => {
+    const kernel = Array.isArray(convKernelSize)
+      ? convKernelSize[idx % convKernelSize.length]
+      : convKernelSize;
+
+    x = new CausalConv1D({
+      filters,
+      kernelSize: kernel,
+      activation: convActivation,
+    }).apply(x);
+    x = normalise(x);
+
+    if (convDropout > 0) {
+      x = tf.layers.dropout({ rate: Math.min(0.5, convDropout) }).apply(x);
+    }
+  });
+
+  const recurrentLayer = backbone === 'lstm' ? tf.layers.lstm : tf.layers.gru;
+  gruUnits.forEach((units, idx) => {
+    const layer = recurrentLayer({
+      units,
+      returnSequences: idx !== gruUnits.length - 1,
+      dropout: Math.min(0.4, dropoutRate),
+      recurrentDropout: Math.min(0.4, recurrentDropout),
+    });
+
+    x = bidirectional
+      ? tf.layers.bidirectional({ layer, mergeMode: 'concat' }).apply(x)
+      : layer.apply(x);
+    x = normalise(x);
+  });
+
+  return x;
+}
+
+// Residual blocks of dilated causal convolutions; the receptive field doubles with
+// each block, and the last timestep summarises the window.
+function buildTemporalConvBackbone(inputs, {
+  tcnFilters,
+  tcnKernelSize,
+  tcnDilations,
+  convActivation,
+  convDropout,
+}) {
+  let x = inputs;
+
+  tcnDilations.forEach((dilationRate) => {
+    const channels = x.shape[x.shape.length - 1];
+    const shortcut = channels === tcnFilters
+      ? x
+      : new CausalConv1D({ filters: tcnFilters, kernelSize: 1 }).apply(x);
+
+    let block = new CausalConv1D({
+      filters: tcnFilters,
+      kernelSize: tcnKernelSize,
+      dilationRate,
+      activation: convActivation,
+    }).apply(x);
+    block = normalise(block);
+
+    if (convDropout > 0) {
+      block = tf.layers.dropout({ rate: Math.min(0.5, convDropout) }).apply(block);
+    }
+
+    x = tf.layers.add().apply([shortcut, block]);
+  });
+
+  return new LastTimestep().apply(x);
+}
+
+// Pre-projection to the attention width, learned positions, then post-norm encoder
+// blocks averaged over time.
+function buildTransformerBackbone(inputs, {
+  attentionHeads,
+  attentionKeyDim,
+  transformerBlocks,
+  feedForwardUnits,
+  dropoutRate,
+}) {
+  const width = attentionHeads * attentionKeyDim;
+  const dropout = (x) => (
+    dropoutRate > 0 ? tf.layers.dropout({ rate: Math.min(0.5, dropoutRate) }).apply(x) : x
+  );
+
+  let x = tf.layers.dense({ units: width }).apply(inputs);
+  x = new PositionEmbedding().apply(x);
+
+  for (let block = 0; block < transformerBlocks; block += 1) {
+    const attention = new MultiHeadSelfAttention({
+      numHeads: attentionHeads,
+      keyDim: attentionKeyDim,
+    }).apply(x);
+    x = normalise(tf.layers.add().apply([x, dropout(attention)]));
+
+    let feedForward = tf.layers.dense({
+      units: feedForwardUnits,
+      activation: 'relu',
+      kernelInitializer: 'heNormal',
+    }).apply(x);
+    feedForward = tf.layers.dense({ units: width }).apply(feedForward);
+    x = normalise(tf.layers.add().apply([x, dropout(feedForward)]));
+  }
+
+  return tf.layers.globalAveragePooling1d().apply(x);
+}
+
 export class GRUModel {
-  constructor({ inputShape, outputSize }) {
+  constructor({
+    inputShape,
+    outputSize,
+    classes = 2,
+    task = 'classification',
+    loss = 'mse',
+    huberDelta = 0.02,
+    quantiles = [0.1, 0.5, 0.9],
+  }) {
+    if (!Number.isInteger(classes) || classes < 2) {
+      throw new Error('classes must be an integer of at least 2');
+    }
+    if (!MODEL_TASKS.includes(task)) {
+      throw new Error(`Unknown model task: ${task}`);
+    }
+    if (task === 'regression' && !REGRESSION_LOSSES.includes(loss)) {
+      throw new Error(`Unknown regression loss: ${loss}`);
+    }
+    const isQuantile = task === 'regression' && loss === 'quantile';
+    if (isQuantile && (
+      !Array.isArray(quantiles)
+      || new Set(quantiles).size < 2
+      || quantiles.some((level) => !Number.isFinite(level) || level <= 0 || level >= 1)
+    )) {
+      throw new Error('Quantile mode needs at least two distinct quantile levels between 0 and 1 (0% and 100%).');
+    }
     this.inputShape = inputShape;
     this.outputSize = outputSize;
+    this.classes = classes;
+    this.task = task;
+    this.loss = loss;
+    this.huberDelta = huberDelta;
+    this.quantiles = isQuantile ? Array.from(new Set(quantiles)).sort((a, b) => a - b) : null;
     this.model = null;
+    this.config = null;
     this.history = null;
     this.optimizer = null;
     this.initialLearningRate = 0.001;
   }
 
-  build({
-    dropoutRate = 0.25,
-    gruUnits = [128, 96, 64],
-    denseUnits = [128, 64],
-    bidirectional = true,
-    learningRate = 0.001,
-    recurrentDropout = 0.1,
-    convFilters = [96],
-    convKernelSize = 3,
-    convActivation = 'relu',
-    convDropout = 0.1,
-  } = {}) {
-    if (!Array.isArray(gruUnits) || gruUnits.length === 0) {
-      throw new Error('gruUnits must be a non-empty array');
+  build(config = {}) {
+    const resolved = { ...DEFAULT_ARCHITECTURE, ...config };
+    const {
+      backbone,
+      dropoutRate,
+      denseUnits,
+      learningRate,
+    } = resolved;
+
+    if (!BACKBONES.includes(backbone)) {
+      throw new Error(`Unknown backbone: ${backbone}`);
+    }
+    validateBackbone(resolved);
+    if (Array.isArray(denseUnits) && denseUnits.some((units) => !Number.isInteger(units) || units <= 0)) {
+      throw new Error('denseUnits must contain positive whole numbers');
+    }
+    [['dropoutRate', dropoutRate], ['recurrentDropout', resolved.recurrentDropout], ['convDropout', resolved.convDropout]]
+      .forEach(([name, rate]) => {
+        if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+          throw new Error(`${name} must be between 0 and 1`);
+        }
+      });
+    if (!Number.isFinite(learningRate) || learningRate <= 0) {
+      throw new Error('learningRate must be a positive number');
     }
 
     if (this.model) {
@@ -118,88 +590,27 @@ export class GRUModel {
     }
     this.optimizer = null;
 
-    const model = tf.sequential();
-
-    const hasConvStack = Array.isArray(convFilters) && convFilters.length > 0;
-    if (hasConvStack) {
-      convFilters.forEach((filters, idx) => {
-        if (!Number.isFinite(filters) || filters <= 0) {
-          throw new Error('convFilters must contain positive numbers');
-        }
-
-        const kernel = Array.isArray(convKernelSize)
-          ? convKernelSize[idx % convKernelSize.length]
-          : convKernelSize;
-
-        const convConfig = {
-          filters,
-          kernelSize: Number.isFinite(kernel) && kernel > 0 ? kernel : 3,
-          padding: 'causal',
-          activation: convActivation,
-          kernelInitializer: 'heNormal',
-        };
-
-        if (idx === 0) {
-          convConfig.inputShape = this.inputShape;
-        }
-
-        model.add(tf.layers.conv1d(convConfig));
-
-        if (HAS_LAYER_NORM) {
-          model.add(tf.layers.layerNormalization());
-        }
+    const inputs = tf.input({ shape: this.inputShape });
+    let x = inputs;
+    const add = (layer) => {
+      x = layer.apply(x);
+    };
 
-        if (convDropout > 0) {
-          model.add(tf.layers.dropout({ rate: Math.min(0.5, convDropout) }));
-        }
-      });
+    if (backbone === 'tcn') {
+      x = buildTemporalConvBackbone(x, resolved);
+    } else if (backbone === 'transformer') {
+      x = buildTransformerBackbone(x, resolved);
+    } else {
+      x = buildRecurrentBackbone(x, resolved);
     }
 
-    gruUnits.forEach((units, idx) => {
-      const gruConfig = {
-        units,
-        returnSequences: idx !== gruUnits.length - 1,
-        dropout: Math.min(0.4, dropoutRate),
-        recurrentDropout: Math.min(0.4, recurrentDropout),
-      };
-
-      if (!bidirectional && idx === 0 && !hasConvStack) {
-        gruConfig.inputShape = this.inputShape;
-      }
-
-      const gruLayer = tf.layers.gru(gruConfig);
-
-      if (bidirectional) {
-        const wrapperConfig = {
-          layer: gruLayer,
-          mergeMode: 'concat',
-        };
-
-        if (idx === 0 && !hasConvStack) {
-          wrapperConfig.inputShape = this.inputShape;
-        }
-
-        model.add(tf.layers.bidirectional(wrapperConfig));
-      } else {
-        model.add(gruLayer);
-      }
-
-      if (HAS_LAYER_NORM) {
-        model.add(tf.layers.layerNormalization());
-      }
-    });
-
     if (dropoutRate > 0) {
-      model.add(tf.layers.dropout({ rate: Math.min(0.5, dropoutRate) }));
+      add(tf.layers.dropout({ rate: Math.min(0.5, dropoutRate) }));
     }
 
     if (Array.isArray(denseUnits) && denseUnits.length > 0) {
       denseUnits.forEach((units, index) => {
-        if (!Number.isFinite(units) || units <= 0) {
-          throw new Error('denseUnits must contain positive numbers');
-        }
-
-        model.add(
+        add(
           tf.layers.dense({
             units,
             activation: 'relu',
@@ -209,26 +620,113 @@ export class GRUModel {
         );
 
         if (dropoutRate > 0 && index !== denseUnits.length - 1) {
-          model.add(tf.layers.dropout({ rate: Math.min(0.5, dropoutRate * 1.1) }));
+          add(tf.layers.dropout({ rate: Math.min(0.5, dropoutRate * 1.1) }));
         }
       });
     }
 
-    model.add(tf.layers.dense({ units: this.outputSize, activation: 'sigmoid' }));
+    const isBinary = this.classes === 2;
+    let loss = isBinary ? maskedBinaryCrossentropy : maskedCategoricalCrossentropy;
+    let metric = isBinary ? binaryAccuracy : categoricalAccuracy;
+    if (this.task === 'regression') {
+      // Returns are a few percent at most; a zero-initialised head starts at "no move".
+      if (this.quantiles) {
+        add(tf.layers.dense({ units: this.outputSize * this.quantiles.length, kernelInitializer: 'zeros' }));
+        add(tf.layers.reshape({ targetShape: [this.outputSize, this.quantiles.length] }));
+        loss = createPinballLoss(this.quantiles);
+        metric = intervalCoverage;
+      } else {
+        add(tf.layers.dense({ units: this.outputSize, kernelInitializer: 'zeros' }));
+        loss = this.loss === 'huber' ? createMaskedHuberLoss(this.huberDelta) : maskedMeanSquaredError;
+        metric = meanAbsoluteError;
+      }
+    } else if (isBinary) {
+      add(tf.layers.dense({ units: this.outputSize, activation: 'sigmoid' }));
+    } else {
+      // One softmax head per symbol-day.
+      add(tf.layers.dense({ units: this.outputSize * this.classes }));
+      add(tf.layers.reshape({ targetShape: [this.outputSize, this.classes] }));
+      add(tf.layers.softmax({ axis: -1 }));
+    }
 
     this.optimizer = tf.train.adam(learningRate);
     this.initialLearningRate = learningRate;
 
+    const model = tf.model({ inputs, outputs: x });
     model.compile({
       optimizer: this.optimizer,
-      loss: 'binaryCrossentropy',
-      metrics: ['binaryAccuracy'],
+      loss,
+      metrics: [metric],
     });
 
     this.model = model;
+    this.config = JSON.parse(JSON.stringify(resolved));
     return this.model;
   }
 
+  summarise() {
+    if (!this.model) {
+      throw new Error('Model is not built.');
+    }
+
+    const size = (shape) => shape.reduce((acc, dim) => acc * dim, 1);
+    return {
+      layers: this.model.layers.map((layer) => ({
+        name: layer.name,
+        type: layer.getClassName(),
+        outputShape: layer.outputShape,
+        params: layer.countParams(),
+      })),
+      totalParams: this.model.countParams(),
+      trainableParams: this.model.trainableWeights.reduce((acc, weight) => acc + size(weight.shape), 0),
+    };
+  }
+
+  // Weights travel with the constructor options and build config; the custom losses
+  // cannot be serialised, so a restored model is rebuilt and compiled from them.
+  async serialise() {
+    if (!this.model) {
+      throw new Error('Model is not built.');
+    }
+
+    const weights = this.model.getWeights();
+    const values = await Promise.all(weights.map((weight) => weight.data()));
+    return {
+      version: MODEL_FORMAT_VERSION,
+      options: {
+        inputShape: this.inputShape,
+        outputSize: this.outputSize,
+        classes: this.classes,
+        task: this.task,
+        loss: this.loss,
+        huberDelta: this.huberDelta,
+        quantiles: this.quantiles ?? undefined,
+      },
+      config: this.config,
+      weights: weights.map((weight, index) => ({ shape: weight.shape, values: encodeFloat32(values[index]) })),
+    };
+  }
+
+  static deserialise(json) {
+    if (!json || json.version !== MODEL_FORMAT_VERSION || !Array.isArray(json.weights)) {
+      throw new Error('Unsupported or corrupt model payload.');
+    }
+
+    const restored = new GRUModel(json.options);
+    restored.build(json.config);
+    const expected = restored.model.getWeights().map((weight) => weight.shape.join('x'));
+    const saved = json.weights.map(({ shape }) => shape.join('x'));
+    if (expected.join() !== saved.join()) {
+      restored.dispose();
+      throw new Error('Saved weights do not match the model architecture.');
+    }
+
+    const tensors = json.weights.map(({ shape, values }) => tf.tensor(decodeFloat32(values), shape, 'float32'));
+    restored.model.setWeights(tensors);
+    tensors.forEach((tensor) => tensor.dispose());
+    return restored;
+  }
+
   async train({
     X_train,
     y_train,
@@ -287,17 +785,35 @@ export class GRUModel {
       );
     }
 
-    this.history = await this.model.fit(X_train, y_train, {
-      epochs,
-      batchSize,
-      shuffle: false,
-      validationData: hasValidation ? [X_val, y_val] : undefined,
-      callbacks,
-    });
+    const yTrain = this.prepareTargets(y_train);
+    const yVal = hasValidation ? this.prepareTargets(y_val) : null;
+    try {
+      this.history = await this.model.fit(X_train, yTrain, {
+        epochs,
+        batchSize,
+        shuffle: false,
+        validationData: hasValidation ? [X_val, yVal] : undefined,
+        callbacks,
+      });
+    } finally {
+      [yTrain, yVal].forEach((tensor) => {
+        if (tensor && tensor !== y_train && tensor !== y_val) {
+          tensor.dispose();
+        }
+      });
+    }
 
     return this.history;
   }
 
+  prepareTargets(y) {
+    if (!this.quantiles) {
+      return y;
+    }
+    // One copy of each return per quantile output, so targets match the model's output shape.
+    return tf.tidy(() => y.expandDims(-1).tile([1, 1, this.quantiles.length]));
+  }
+
   predict(X) {
     if (!this.model) {
       throw new Error('Model is not built.');
@@ -309,74 +825,180 @@ export class GRUModel {
     if (!this.model) {
       throw new Error('Model is not built.');
     }
-    return this.model.evaluate(X, y);
+    const targets = this.prepareTargets(y);
+    try {
+      return this.model.evaluate(X, targets);
+    } finally {
+      if (targets !== y) {
+        targets.dispose();
+      }
+    }
   }
 
   analysePredictions(predictionsArray, groundTruthArray, symbols, predictionDays) {
-    const perStockTimeline = {};
-    const perStockTotals = {};
-    const perStockConfusion = {};
-    let globalCorrect = 0;
-    let globalTotal = 0;
-
-    symbols.forEach((symbol) => {
-      perStockTimeline[symbol] = [];
-      perStockTotals[symbol] = { correct: 0, total: 0 };
-      perStockConfusion[symbol] = { tp: 0, fp: 0, fn: 0, tn: 0 };
-    });
+    if (this.quantiles) {
+      return this.analyseQuantiles(predictionsArray, groundTruthArray, symbols, predictionDays);
+    }
+    if (this.task === 'regression') {
+      return this.analyseReturns(predictionsArray, groundTruthArray, symbols, predictionDays);
+    }
+    return {
+      ...analyseClassPredictions(predictionsArray, groundTruthArray, symbols, predictionDays, this.classes),
+      classification: computeClassificationMetrics(
+        predictionsArray,
+        groundTruthArray,
+        symbols,
+        predictionDays,
+        this.classes,
+      ),
+    };
+  }
 
-    predictionsArray.forEach((row, rowIndex) => {
-      symbols.forEach((symbol, stockIdx) => {
-        const offset = stockIdx * predictionDays;
-        let correctCount = 0;
-        const perDayFlags = [];
+  analyseQuantiles(predictionsArray, groundTruthArray, symbols, predictionDays) {
+    const { quantiles } = this;
+    const medianIndex = quantiles.reduce(
+      (best, level, index) => (Math.abs(level - 0.5) < Math.abs(quantiles[best] - 0.5) ? index : best),
+      0,
+    );
+    // Sorting each forecast removes quantile crossing before any interval is scored.
+    const sorted = predictionsArray.map((row) => row.map((values) => values.slice().sort((a, b) => a - b)));
+    const metrics = this.analyseReturns(
+      sorted.map((row) => row.map((values) => values[medianIndex])),
+      groundTruthArray,
+      symbols,
+      predictionDays,
+    );
 
+    const lowest = quantiles[0];
+    const highest = quantiles[quantiles.length - 1];
+    const perStockInterval = {};
+    const perStockFan = {};
+    let covered = 0;
+    let widthSum = 0;
+    let count = 0;
+    const below = new Array(quantiles.length).fill(0);
+
+    symbols.forEach((symbol, stockIdx) => {
+      const offset = stockIdx * predictionDays;
+      const fan = Array.from({ length: predictionDays }, () => []);
+      let symbolCovered = 0;
+      let symbolWidth = 0;
+      let symbolCount = 0;
+
+      sorted.forEach((row, rowIndex) => {
         for (let day = 0; day < predictionDays; day += 1) {
-          const pred = row[offset + day] >= 0.5 ? 1 : 0;
+          const values = row[offset + day];
           const actual = groundTruthArray[rowIndex][offset + day];
-
-          if (pred === 1 && actual === 1) {
-            perStockConfusion[symbol].tp += 1;
-          } else if (pred === 1 && actual === 0) {
-            perStockConfusion[symbol].fp += 1;
-          } else if (pred === 0 && actual === 1) {
-            perStockConfusion[symbol].fn += 1;
-          } else {
-            perStockConfusion[symbol].tn += 1;
+          const hasActual = Number.isFinite(actual);
+          fan[day].push({ quantiles: values, actual: hasActual ? actual : null });
+          if (!hasActual) {
+            continue;
           }
 
-          if (pred === actual) {
-            correctCount += 1;
-            globalCorrect += 1;
+          const lower = values[0];
+          const upper = values[values.length - 1];
+          if (actual >= lower && actual <= upper) {
+            symbolCovered += 1;
           }
-          globalTotal += 1;
-          perDayFlags.push({ predicted: pred, actual, correct: pred === actual });
+          symbolWidth += upper - lower;
+          symbolCount += 1;
+          values.forEach((value, index) => {
+            if (actual <= value) {
+              below[index] += 1;
+            }
+          });
         }
+      });
 
-        perStockTimeline[symbol].push({
-          correctCount,
-          total: predictionDays,
-          perDayFlags,
-        });
+      perStockInterval[symbol] = {
+        coverage: symbolCount === 0 ? 0 : symbolCovered / symbolCount,
+        width: symbolCount === 0 ? 0 : symbolWidth / symbolCount,
+        count: symbolCount,
+      };
+      perStockFan[symbol] = fan;
+      covered += symbolCovered;
+      widthSum += symbolWidth;
+      count += symbolCount;
+    });
 
-        perStockTotals[symbol].correct += correctCount;
-        perStockTotals[symbol].total += predictionDays;
+    return {
+      ...metrics,
+      quantiles: quantiles.slice(),
+      perStockInterval,
+      perStockFan,
+      interval: {
+        nominal: highest - lowest,
+        coverage: count === 0 ? 0 : covered / count,
+        width: count === 0 ? 0 : widthSum / count,
+        // Share of outcomes at or below each quantile; calibrated forecasts match the levels.
+        calibration: quantiles.map((level, index) => ({ level, observed: count === 0 ? 0 : below[index] / count })),
+        count,
+      },
+    };
+  }
+
+  analyseReturns(predictionsArray, groundTruthArray, symbols, predictionDays) {
+    // Directional metrics come from the signs: a positive return counts as "up".
+    const predictedSigns = predictionsArray.map((row) => row.map((value) => (value > 0 ? 1 : 0)));
+    const actualSigns = groundTruthArray.map((row) => row.map((value) => {
+      if (!Number.isFinite(value)) {
+        return -1;
+      }
+      return value > 0 ? 1 : 0;
+    }));
+    const direction = analyseClassPredictions(predictedSigns, actualSigns, symbols, predictionDays, 2);
+
+    const perStockError = {};
+    const perStockScatter = {};
+    let absoluteSum = 0;
+    let squaredSum = 0;
+    let count = 0;
+
+    symbols.forEach((symbol, stockIdx) => {
+      const offset = stockIdx * predictionDays;
+      const points = [];
+      let symbolAbsolute = 0;
+      let symbolSquared = 0;
+
+      predictionsArray.forEach((row, rowIndex) => {
+        const flags = direction.perStockTimeline[symbol][rowIndex].perDayFlags;
+        for (let day = 0; day < predictionDays; day += 1) {
+          const predicted = row[offset + day];
+          const actual = groundTruthArray[rowIndex][offset + day];
+          flags[day].predictedReturn = predicted;
+          if (!Number.isFinite(actual)) {
+            continue;
+          }
+
+          flags[day].actualReturn = actual;
+          const error = predicted - actual;
+          symbolAbsolute += Math.abs(error);
+          symbolSquared += error * error;
+          points.push({ x: actual, y: predicted, day: day + 1 });
+        }
       });
-    });
 
-    const perStockAccuracy = {};
-    symbols.forEach((symbol) => {
-      const { correct, total } = perStockTotals[symbol];
-      perStockAccuracy[symbol] = total === 0 ? 0 : correct / total;
+      perStockError[symbol] = {
+        mae: points.length === 0 ? 0 : symbolAbsolute / points.length,
+        rmse: points.length === 0 ? 0 : Math.sqrt(symbolSquared / points.length),
+        count: points.length,
+      };
+      perStockScatter[symbol] = points;
+      absoluteSum += symbolAbsolute;
+      squaredSum += symbolSquared;
+      count += points.length;
     });
 
-    const overallAccuracy = globalTotal === 0 ? 0 : globalCorrect / globalTotal;
-
     return {
-      perStockAccuracy,
-      perStockTimeline,
-      perStockConfusion,
-      overallAccuracy,
+      ...direction,
+      task: 'regression',
+      perStockError,
+      perStockScatter,
+      overallError: {
+        mae: count === 0 ? 0 : absoluteSum / count,
+        rmse: count === 0 ? 0 : Math.sqrt(squaredSum / count),
+        count,
+      },
     };
   }
 
@@ -0,0 +1,278 @@
+import { guessColumnMapping } from './column-mapping.js';
+import {
+  OPTIONAL_COLUMNS,
+  REQUIRED_COLUMNS,
+  createLineSplitter,
+  createSkipLog,
+  detectDelimiter,
+  normaliseDateString,
+  parseCSVLine,
+} from './csv-parser.js';
+
+export const DATASET_FORMATS = ['long', 'wide', 'json', 'jsonl'];
+
+const WIDE_FIELD_PATTERN = /^(.+?)[\s_.:/-]+(adj[\s_]?close|adjusted[\s_]?close|open|high|low|close|volume)$/i;
+
+const WIDE_FIELDS = {
+  open: 'Open',
+  high: 'High',
+  low: 'Low',
+  close: 'Close',
+  adjclose: 'Adj Close',
+  adjustedclose: 'Adj Close',
+  volume: 'Volume',
+};
+
+const JSON_CONTAINER_KEYS = ['data', 'bars', 'rows', 'prices', 'results', 'values'];
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return Number.parseFloat(value);
+}
+
+function toDate(value) {
+  return normaliseDateString(typeof value === 'number' ? String(Math.round(value)) : value);
+}
+
+function splitLines(text, options) {
+  const splitter = createLineSplitter(options);
+  return [...splitter.push(text), ...splitter.flush()];
+}
+
+function isLineDelimitedJSON(sample) {
+  const lines = splitLines(sample);
+  if (lines.length < 2) {
+    return false;
+  }
+  try {
+    JSON.parse(lines[0]);
+    return lines[1].trim().startsWith('{');
+  } catch (error) {
+    return false;
+  }
+}
+
+export function sniffFormat(sample) {
+  const trimmed = sample.replace(/^\uFEFF/, '').trimStart();
+  if (trimmed.startsWith('[')) {
+    return 'json';
+  }
+  if (trimmed.startsWith('{')) {
+    return isLineDelimitedJSON(trimmed) ? 'jsonl' : 'json';
+  }
+
+  const lines = splitLines(trimmed).slice(0, 20);
+  if (lines.length === 0) {
+    throw new Error('Dataset file is empty.');
+  }
+
+  const headers = parseCSVLine(lines[0], detectDelimiter(lines));
+  const mapping = guessColumnMapping(headers, { singleLetterAliases: false });
+  const isWide = mapping.Date && !mapping.Symbol && !mapping.Close && headers.length > 1;
+  return isWide ? 'wide' : 'long';
+}
+
+function finaliseRows(rows, columnsSeen, skipLog) {
+  const optionalColumns = Object.keys(OPTIONAL_COLUMNS).filter((column) => columnsSeen.has(column));
+
+  rows.forEach((row) => {
+    Object.entries(OPTIONAL_COLUMNS).forEach(([column, field]) => {
+      if (!optionalColumns.includes(column) || row[field] === undefined) {
+        row[field] = Number.NaN;
+      }
+    });
+  });
+
+  return {
+    rows,
+    availableColumns: [...REQUIRED_COLUMNS, ...optionalColumns],
+    skipped: skipLog.entries,
+    skippedCount: skipLog.count,
+  };
+}
+
+export function parseWideCSV(text, { delimiter } = {}) {
+  const lines = splitLines(text.replace(/^\uFEFF/, ''), { withLineNumbers: true });
+  if (lines.length <= 1) {
+    throw new Error('CSV file is empty.');
+  }
+
+  const resolvedDelimiter = delimiter ?? detectDelimiter(lines.slice(0, 20).map(({ text: line }) => line));
+  const headers = parseCSVLine(lines[0].text, resolvedDelimiter);
+  const dateHeader = guessColumnMapping(headers).Date;
+  if (!dateHeader) {
+    throw new Error('Wide CSV needs a Date column.');
+  }
+
+  const dateIndex = headers.indexOf(dateHeader);
+  const columns = [];
+  const fieldsBySymbol = {};
+  headers.forEach((header, index) => {
+    if (index === dateIndex || header.length === 0) {
+      return;
+    }
+    const match = header.match(WIDE_FIELD_PATTERN);
+    const symbol = (match ? match[1] : header).trim();
+    const column = match ? WIDE_FIELDS[match[2].toLowerCase().replace(/[\s_]/g, '')] : 'Close';
+    columns.push({ index, symbol, column });
+    fieldsBySymbol[symbol] = fieldsBySymbol[symbol] || new Set();
+    fieldsBySymbol[symbol].add(column);
+  });
+
+  const symbols = Object.keys(fieldsBySymbol);
+  if (symbols.length === 0) {
+    throw new Error('Wide CSV has no ticker columns.');
+  }
+
+  // Optional columns only count when every ticker provides them.
+  const columnsSeen = new Set(Object.keys(OPTIONAL_COLUMNS)
+    .filter((column) => symbols.every((symbol) => fieldsBySymbol[symbol].has(column))));
+
+  const rows = [];
+  const skipLog = createSkipLog();
+  for (let i = 1; i < lines.length; i += 1) {
+    const values = parseCSVLine(lines[i].text, resolvedDelimiter);
+    if (values.length !== headers.length) {
+      skipLog.add(lines[i].number, `expected ${headers.length} columns, found ${values.length}`);
+      continue;
+    }
+
+    let date;
+    try {
+      date = normaliseDateString(values[dateIndex]);
+    } catch (error) {
+      skipLog.add(lines[i].number, error.message);
+      continue;
+    }
+    const bars = {};
+    columns.forEach(({ index, symbol, column }) => {
+      bars[symbol] = bars[symbol] || {};
+      bars[symbol][column] = toNumber(values[index]);
+    });
+
+    Object.entries(bars).forEach(([symbol, bar]) => {
+      if (!Number.isFinite(bar.Close)) {
+        return;
+      }
+      const row = {
+        date,
+        symbol,
+        // Close-only tickers have no session open; reuse the close so CloseToOpen is flat.
+        open: Number.isFinite(bar.Open) ? bar.Open : bar.Close,
+        close: bar.Close,
+      };
+      Object.entries(OPTIONAL_COLUMNS).forEach(([column, field]) => {
+        if (column in bar) {
+          row[field] = bar[column];
+        }
+      });
+      rows.push(row);
+    });
+  }
+
+  return finaliseRows(rows, columnsSeen, skipLog);
+}
+
+function collectBars(payload, symbol = null) {
+  if (Array.isArray(payload)) {
+    return payload.map((bar) => ({ bar, symbol }));
+  }
+
+  if (payload && typeof payload === 'object') {
+    const containerKey = JSON_CONTAINER_KEYS.find((key) => Array.isArray(payload[key]));
+    if (containerKey) {
+      return collectBars(payload[containerKey], payload.symbol ?? payload.ticker ?? symbol);
+    }
+
+    // { "AAPL": [...], "MSFT": [...] } keyed by ticker.
+    return Object.entries(payload)
+      .filter(([, value]) => Array.isArray(value) || (value && typeof value === 'object'))
+      .flatMap(([key, value]) => collectBars(value, key));
+  }
+
+  return [];
+}
+
+function barsToRows(entries, defaultSymbol = null) {
+  const objects = entries.filter(({ bar }) => bar && typeof bar === 'object' && !Array.isArray(bar));
+  if (objects.length === 0) {
+    throw new Error('No price bars were found in the JSON data.');
+  }
+
+  const keys = Array.from(new Set(objects.slice(0, 100).flatMap(({ bar }) => Object.keys(bar))));
+  const mapping = guessColumnMapping(keys);
+  const missing = REQUIRED_COLUMNS
+    .filter((column) => !mapping[column])
+    .filter((column) => column !== 'Symbol' || (!defaultSymbol && objects.some(({ symbol }) => !symbol)));
+  if (missing.length > 0) {
+    throw new Error(`JSON bars are missing required fields: ${missing.join(', ')}`);
+  }
+
+  const columnsSeen = new Set(Object.keys(OPTIONAL_COLUMNS).filter((column) => mapping[column]));
+  const rows = [];
+  const skipLog = createSkipLog();
+  objects.forEach(({ bar, symbol: containerSymbol, line = null }, index) => {
+    const where = line === null ? `record ${index + 1}: ` : '';
+    const symbol = mapping.Symbol && bar[mapping.Symbol]
+      ? String(bar[mapping.Symbol]).trim()
+      : (containerSymbol ?? defaultSymbol);
+    const dateValue = bar[mapping.Date];
+    if (!symbol) {
+      skipLog.add(line, `${where}missing symbol`);
+      return;
+    }
+    if (dateValue === undefined || dateValue === null) {
+      skipLog.add(line, `${where}missing date`, symbol);
+      return;
+    }
+
+    let date;
+    try {
+      date = toDate(dateValue);
+    } catch (error) {
+      skipLog.add(line, `${where}${error.message}`, symbol);
+      return;
+    }
+
+    const row = {
+      date,
+      symbol,
+      open: toNumber(bar[mapping.Open]),
+      close: toNumber(bar[mapping.Close]),
+    };
+    Object.entries(OPTIONAL_COLUMNS).forEach(([column, field]) => {
+      if (mapping[column]) {
+        row[field] = toNumber(bar[mapping[column]]);
+      }
+    });
+    rows.push(row);
+  });
+
+  return finaliseRows(rows, columnsSeen, skipLog);
+}
+
+export function parseJSONBars(text, { defaultSymbol } = {}) {
+  let payload;
+  try {
+    payload = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON dataset: ${error.message}`);
+  }
+  return barsToRows(collectBars(payload), defaultSymbol);
+}
+
+export function parseJSONLines(text, { defaultSymbol } = {}) {
+  const entries = [];
+  splitLines(text.replace(/^\uFEFF/, '')).forEach((line, index) => {
+    let bar;
+    try {
+      bar = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+    entries.push(...collectBars(Array.isArray(bar) ? bar : [bar]).map((entry) => ({ ...entry, line: index + 1 })));
+  });
+  return barsToRows(entries, defaultSymbol);
+}
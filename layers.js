@@ -0,0 +1,179 @@
+const tf = globalThis.tf;
+
+if (!tf || typeof tf.layers?.Layer !== 'function') {
+  throw new Error('TensorFlow.js failed to initialise. Ensure tf.min.js loads before layers.js.');
+}
+
+const ACTIVATIONS = {
+  linear: (x) => x,
+  relu: (x) => tf.relu(x),
+  elu: (x) => tf.elu(x),
+  tanh: (x) => tf.tanh(x),
+};
+
+function firstInput(inputs) {
+  return Array.isArray(inputs) ? inputs[0] : inputs;
+}
+
+// TF.js has no working 'causal' padding and cannot back-propagate through dilated
+// convolutions, so the taps are applied as shifted matrix products instead.
+export class CausalConv1D extends tf.layers.Layer {
+  constructor({
+    filters,
+    kernelSize = 3,
+    dilationRate = 1,
+    activation = 'linear',
+    ...config
+  }) {
+    super(config);
+    if (!ACTIVATIONS[activation]) {
+      throw new Error(`Unsupported activation for CausalConv1D: ${activation}`);
+    }
+    this.filters = filters;
+    this.kernelSize = kernelSize;
+    this.dilationRate = dilationRate;
+    this.activation = activation;
+  }
+
+  build(inputShape) {
+    const channels = inputShape[inputShape.length - 1];
+    this.kernel = this.addWeight(
+      'kernel',
+      [this.kernelSize, channels, this.filters],
+      'float32',
+      tf.initializers.heNormal({}),
+    );
+    this.bias = this.addWeight('bias', [this.filters], 'float32', tf.initializers.zeros());
+    super.build(inputShape);
+  }
+
+  computeOutputShape(inputShape) {
+    return [...inputShape.slice(0, -1), this.filters];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = firstInput(inputs);
+      const [batch, steps, channels] = x.shape;
+      const padding = (this.kernelSize - 1) * this.dilationRate;
+      const padded = tf.pad(x, [[0, 0], [padding, 0], [0, 0]]);
+      const kernel = this.kernel.read();
+
+      let sum = null;
+      for (let tap = 0; tap < this.kernelSize; tap += 1) {
+        const shifted = padded.slice([0, tap * this.dilationRate, 0], [batch, steps, channels]).reshape([-1, channels]);
+        const weights = kernel.slice([tap, 0, 0], [1, channels, this.filters]).reshape([channels, this.filters]);
+        const term = tf.matMul(shifted, weights);
+        sum = sum ? sum.add(term) : term;
+      }
+
+      const output = sum.add(this.bias.read()).reshape([batch, steps, this.filters]);
+      return ACTIVATIONS[this.activation](output);
+    });
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      filters: this.filters,
+      kernelSize: this.kernelSize,
+      dilationRate: this.dilationRate,
+      activation: this.activation,
+    };
+  }
+}
+CausalConv1D.className = 'CausalConv1D';
+
+export class LastTimestep extends tf.layers.Layer {
+  computeOutputShape(inputShape) {
+    return [inputShape[0], inputShape[inputShape.length - 1]];
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = firstInput(inputs);
+      const [batch, steps, channels] = x.shape;
+      return x.slice([0, steps - 1, 0], [batch, 1, channels]).reshape([batch, channels]);
+    });
+  }
+}
+LastTimestep.className = 'LastTimestep';
+
+export class PositionEmbedding extends tf.layers.Layer {
+  build(inputShape) {
+    this.embedding = this.addWeight(
+      'embedding',
+      [inputShape[1], inputShape[2]],
+      'float32',
+      tf.initializers.randomNormal({ stddev: 0.02 }),
+    );
+    super.build(inputShape);
+  }
+
+  computeOutputShape(inputShape) {
+    return inputShape;
+  }
+
+  call(inputs) {
+    return tf.tidy(() => firstInput(inputs).add(this.embedding.read()));
+  }
+}
+PositionEmbedding.className = 'PositionEmbedding';
+
+// Every timestep of an input window lies at or before the anchor date, so the
+// attention can look across the whole window without a causal mask.
+export class MultiHeadSelfAttention extends tf.layers.Layer {
+  constructor({ numHeads = 4, keyDim = 16, ...config }) {
+    super(config);
+    this.numHeads = numHeads;
+    this.keyDim = keyDim;
+  }
+
+  build(inputShape) {
+    const features = inputShape[inputShape.length - 1];
+    const width = this.numHeads * this.keyDim;
+    const initializer = () => tf.initializers.glorotUniform({});
+    this.queryKernel = this.addWeight('query', [features, width], 'float32', initializer());
+    this.keyKernel = this.addWeight('key', [features, width], 'float32', initializer());
+    this.valueKernel = this.addWeight('value', [features, width], 'float32', initializer());
+    this.outputKernel = this.addWeight('output', [width, features], 'float32', initializer());
+    super.build(inputShape);
+  }
+
+  computeOutputShape(inputShape) {
+    return inputShape;
+  }
+
+  call(inputs) {
+    return tf.tidy(() => {
+      const x = firstInput(inputs);
+      const [batch, steps, features] = x.shape;
+      const flat = x.reshape([-1, features]);
+      const heads = (kernel) => tf.matMul(flat, kernel.read())
+        .reshape([batch, steps, this.numHeads, this.keyDim])
+        .transpose([0, 2, 1, 3]);
+
+      const query = heads(this.queryKernel);
+      const key = heads(this.keyKernel);
+      const value = heads(this.valueKernel);
+      const scores = tf.matMul(query, key, false, true).div(Math.sqrt(this.keyDim));
+      const context = tf.matMul(tf.softmax(scores, -1), value)
+        .transpose([0, 2, 1, 3])
+        .reshape([-1, this.numHeads * this.keyDim]);
+      return tf.matMul(context, this.outputKernel.read()).reshape([batch, steps, features]);
+    });
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      numHeads: this.numHeads,
+      keyDim: this.keyDim,
+    };
+  }
+}
+MultiHeadSelfAttention.className = 'MultiHeadSelfAttention';
+
+[CausalConv1D, LastTimestep, PositionEmbedding, MultiHeadSelfAttention].forEach((layer) => {
+  tf.serialization.registerClass(layer);
+});
@@ -0,0 +1,147 @@
+function correlationAtLag(leader, follower, lag, start, end) {
+  // Pairs leader[t] with follower[t + lag]; both indices must fall inside [start, end).
+  // Non-finite returns mark days without a real price and drop out of the pair.
+  const from = Math.max(start, start - lag);
+  const to = Math.min(end, end - lag);
+  const isPaired = (t) => Number.isFinite(leader[t]) && Number.isFinite(follower[t + lag]);
+
+  let count = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (let t = from; t < to; t += 1) {
+    if (isPaired(t)) {
+      count += 1;
+      sumX += leader[t];
+      sumY += follower[t + lag];
+    }
+  }
+  if (count < 3) {
+    return 0;
+  }
+  const meanX = sumX / count;
+  const meanY = sumY / count;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let t = from; t < to; t += 1) {
+    if (!isPaired(t)) {
+      continue;
+    }
+    const dx = leader[t] - meanX;
+    const dy = follower[t + lag] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  const denominator = Math.sqrt(varianceX * varianceY);
+  return denominator > 0 ? covariance / denominator : 0;
+}
+
+export function computeLeadLag(returnsBySymbol, symbols, { maxLag = 5, start = 0, end } = {}) {
+  if (!Number.isInteger(maxLag) || maxLag < 1) {
+    throw new Error('Lead-lag analysis needs a maximum lag of at least 1.');
+  }
+  if (symbols.length < 2) {
+    throw new Error('Lead-lag analysis needs at least two symbols.');
+  }
+
+  const length = returnsBySymbol[symbols[0]].length;
+  const windowEnd = Math.min(end ?? length, length);
+  const lags = [];
+  for (let lag = -maxLag; lag <= maxLag; lag += 1) {
+    lags.push(lag);
+  }
+
+  const pairs = {};
+  symbols.forEach((leader) => {
+    pairs[leader] = {};
+    symbols.forEach((follower) => {
+      const profile = lags.map((lag) => correlationAtLag(
+        returnsBySymbol[leader],
+        returnsBySymbol[follower],
+        lag,
+        start,
+        windowEnd,
+      ));
+
+      let bestLag = null;
+      let bestCorrelation = 0;
+      lags.forEach((lag, index) => {
+        if (lag > 0 && Math.abs(profile[index]) > Math.abs(bestCorrelation)) {
+          bestLag = lag;
+          bestCorrelation = profile[index];
+        }
+      });
+
+      pairs[leader][follower] = { profile, bestLag, bestCorrelation };
+    });
+  });
+
+  return {
+    symbols: symbols.slice(),
+    lags,
+    start,
+    end: windowEnd,
+    pairs,
+  };
+}
+
+export function rankLeadLagPairs(analysis) {
+  const ranked = [];
+  analysis.symbols.forEach((leader) => {
+    analysis.symbols.forEach((follower) => {
+      if (leader === follower) {
+        return;
+      }
+      const { bestLag, bestCorrelation } = analysis.pairs[leader][follower];
+      if (bestLag !== null) {
+        ranked.push({
+          leader,
+          follower,
+          lag: bestLag,
+          correlation: bestCorrelation,
+        });
+      }
+    });
+  });
+  return ranked.sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation));
+}
+
+export function proposeSymbolSubset(analysis, { size = 5 } = {}) {
+  const target = Math.max(2, Math.min(size, analysis.symbols.length));
+  const ranked = rankLeadLagPairs(analysis);
+  if (ranked.length === 0) {
+    return { symbols: analysis.symbols.slice(0, target), pairs: [] };
+  }
+
+  // Seed with the strongest pair, then greedily add the symbol whose strongest
+  // lead or lag link to the chosen set is largest.
+  const chosen = [ranked[0].leader, ranked[0].follower];
+  const strength = (a, b) => Math.max(
+    Math.abs(analysis.pairs[a][b].bestCorrelation),
+    Math.abs(analysis.pairs[b][a].bestCorrelation),
+  );
+
+  while (chosen.length < target) {
+    let best = null;
+    let bestScore = -1;
+    analysis.symbols.forEach((symbol) => {
+      if (chosen.includes(symbol)) {
+        return;
+      }
+      const score = Math.max(...chosen.map((member) => strength(symbol, member)));
+      if (score > bestScore) {
+        best = symbol;
+        bestScore = score;
+      }
+    });
+    chosen.push(best);
+  }
+
+  return {
+    symbols: analysis.symbols.filter((symbol) => chosen.includes(symbol)),
+    pairs: ranked.filter(({ leader, follower }) => chosen.includes(leader) && chosen.includes(follower)),
+  };
+}
@@ -0,0 +1,181 @@
+const EPSILON = 1e-7;
+
+export const CLASSIFICATION_METRICS = [
+  { key: 'precision', label: 'Precision' },
+  { key: 'recall', label: 'Recall' },
+  { key: 'f1', label: 'F1' },
+  { key: 'mcc', label: 'MCC' },
+  { key: 'rocAuc', label: 'ROC-AUC' },
+  { key: 'prAuc', label: 'PR-AUC' },
+  { key: 'logLoss', label: 'Log loss', lowerIsBetter: true },
+  { key: 'brier', label: 'Brier', lowerIsBetter: true },
+];
+
+function argMax(values) {
+  return values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+}
+
+function clip(probability) {
+  return Math.min(1 - EPSILON, Math.max(EPSILON, probability));
+}
+
+// "Up" is the positive class. Three-class targets are scored one-vs-rest on P(up),
+// while log loss and Brier score use the full distribution.
+function scoreSample(prediction, actual, classes) {
+  if (classes === 2) {
+    const probability = clip(prediction);
+    return {
+      score: prediction,
+      predicted: prediction >= 0.5,
+      positive: actual === 1,
+      correct: (prediction >= 0.5 ? 1 : 0) === actual,
+      logLoss: -(actual === 1 ? Math.log(probability) : Math.log(1 - probability)),
+      brier: (prediction - actual) ** 2,
+    };
+  }
+
+  const up = classes - 1;
+  const predictedClass = argMax(prediction);
+  return {
+    score: prediction[up],
+    predicted: predictedClass === up,
+    positive: actual === up,
+    correct: predictedClass === actual,
+    logLoss: -Math.log(clip(prediction[actual])),
+    brier: prediction.reduce((acc, probability, index) => acc + (probability - (index === actual ? 1 : 0)) ** 2, 0),
+  };
+}
+
+// Walks the thresholds from the highest score down, treating tied scores as one step.
+function rankCurves(samples, positives) {
+  const negatives = samples.length - positives;
+  if (positives === 0 || negatives === 0) {
+    return { roc: [], rocAuc: null, prAuc: null };
+  }
+
+  const sorted = samples.slice().sort((a, b) => b.score - a.score);
+  const roc = [{ x: 0, y: 0 }];
+  let tp = 0;
+  let fp = 0;
+  let rocAuc = 0;
+  let prAuc = 0;
+  let previousRecall = 0;
+
+  for (let index = 0; index < sorted.length;) {
+    const { score } = sorted[index];
+    while (index < sorted.length && sorted[index].score === score) {
+      if (sorted[index].positive) {
+        tp += 1;
+      } else {
+        fp += 1;
+      }
+      index += 1;
+    }
+
+    const point = { x: fp / negatives, y: tp / positives };
+    const last = roc[roc.length - 1];
+    rocAuc += (point.x - last.x) * (point.y + last.y) / 2;
+    roc.push(point);
+
+    prAuc += (point.y - previousRecall) * (tp / (tp + fp));
+    previousRecall = point.y;
+  }
+
+  return { roc, rocAuc, prAuc };
+}
+
+function summariseSamples(samples) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  let tn = 0;
+  let correct = 0;
+  let logLoss = 0;
+  let brier = 0;
+
+  samples.forEach((sample) => {
+    if (sample.predicted) {
+      tp += sample.positive ? 1 : 0;
+      fp += sample.positive ? 0 : 1;
+    } else {
+      fn += sample.positive ? 1 : 0;
+      tn += sample.positive ? 0 : 1;
+    }
+    correct += sample.correct ? 1 : 0;
+    logLoss += sample.logLoss;
+    brier += sample.brier;
+  });
+
+  const count = samples.length;
+  const precision = tp + fp === 0 ? 0 : tp / (tp + fp);
+  const recall = tp + fn === 0 ? 0 : tp / (tp + fn);
+  const mccDenominator = Math.sqrt((tp + fp) * (tp + fn) * (tn + fp) * (tn + fn));
+  const { roc, rocAuc, prAuc } = rankCurves(samples, tp + fn);
+
+  return {
+    count,
+    accuracy: count === 0 ? 0 : correct / count,
+    tp,
+    fp,
+    fn,
+    tn,
+    precision,
+    recall,
+    f1: precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall),
+    mcc: mccDenominator === 0 ? 0 : (tp * tn - fp * fn) / mccDenominator,
+    rocAuc,
+    prAuc,
+    logLoss: count === 0 ? null : logLoss / count,
+    brier: count === 0 ? null : brier / count,
+    roc,
+  };
+}
+
+function macroAverage(summaries) {
+  const average = { count: summaries.reduce((acc, summary) => acc + summary.count, 0) };
+  ['accuracy', ...CLASSIFICATION_METRICS.map(({ key }) => key)].forEach((key) => {
+    const values = summaries.map((summary) => summary[key]).filter((value) => Number.isFinite(value));
+    average[key] = values.length === 0 ? null : values.reduce((acc, value) => acc + value, 0) / values.length;
+  });
+  return average;
+}
+
+// Macro averages weight every symbol equally; micro pools all symbol-days.
+export function computeClassificationMetrics(predictionsArray, groundTruthArray, symbols, predictionDays, classes) {
+  const bySymbol = symbols.map(() => []);
+  const byDay = Array.from({ length: predictionDays }, () => []);
+
+  predictionsArray.forEach((row, rowIndex) => {
+    symbols.forEach((symbol, stockIdx) => {
+      for (let day = 0; day < predictionDays; day += 1) {
+        const index = stockIdx * predictionDays + day;
+        const truth = groundTruthArray[rowIndex][index];
+        let actual;
+        if (classes === 2) {
+          actual = truth < 0 ? null : truth;
+        } else {
+          actual = truth.some((entry) => entry > 0) ? argMax(truth) : null;
+        }
+        if (actual === null) {
+          continue;
+        }
+
+        const sample = scoreSample(row[index], actual, classes);
+        bySymbol[stockIdx].push(sample);
+        byDay[day].push(sample);
+      }
+    });
+  });
+
+  const perSymbol = {};
+  symbols.forEach((symbol, stockIdx) => {
+    perSymbol[symbol] = summariseSamples(bySymbol[stockIdx]);
+  });
+
+  return {
+    perSymbol,
+    perDay: byDay.map((samples) => summariseSamples(samples)),
+    macro: macroAverage(Object.values(perSymbol)),
+    micro: summariseSamples(bySymbol.flat()),
+  };
+}
@@ -0,0 +1,149 @@
+import { GRUModel } from './gru.js';
+import { FeatureScaler } from './scaler.js';
+
+const DB_NAME = 'stock-gru';
+const STORE_NAME = 'models';
+const BUNDLE_KEY = 'saved-model';
+
+const BUNDLE_VERSION = 1;
+
+export async function createModelBundle(model, dataset, scaler) {
+  if (!scaler?.isFitted) {
+    throw new Error('Train the model before saving it.');
+  }
+
+  return {
+    version: BUNDLE_VERSION,
+    savedAt: new Date().toISOString(),
+    metadata: {
+      symbols: dataset.symbols.slice(),
+      featuresPerSymbol: dataset.featuresPerSymbol.slice(),
+      sequenceLength: dataset.sequenceLength,
+      predictionDays: dataset.predictionDays,
+      trainSplit: dataset.trainSplit,
+      target: { ...dataset.target },
+      scaler: scaler.toJSON(),
+    },
+    model: await model.serialise(),
+  };
+}
+
+export function parseModelBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The model file is not valid JSON.');
+  }
+  return checkBundle(bundle);
+}
+
+function checkBundle(bundle) {
+  if (!bundle || bundle.version !== BUNDLE_VERSION || !bundle.metadata || !bundle.model) {
+    throw new Error('Unsupported or corrupt model file.');
+  }
+  return bundle;
+}
+
+// Weights are only meaningful for the exact input layout and target they were trained on.
+export function checkBundleCompatibility({ metadata }, dataset) {
+  const problems = [];
+  const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+  if (!sameList(metadata.symbols, dataset.symbols)) {
+    const missing = metadata.symbols.filter((symbol) => !dataset.symbols.includes(symbol));
+    problems.push(missing.length > 0
+      ? `symbols missing from the dataset: ${missing.join(', ')}`
+      : `symbols must be ${metadata.symbols.join(', ')} in that order`);
+  }
+  if (!sameList(metadata.featuresPerSymbol, dataset.featuresPerSymbol)) {
+    const missing = metadata.featuresPerSymbol.filter((key) => !dataset.featuresPerSymbol.includes(key));
+    problems.push(missing.length > 0
+      ? `features not selected: ${missing.join(', ')}`
+      : `features must be ${metadata.featuresPerSymbol.join(', ')}`);
+  }
+  if (metadata.sequenceLength !== dataset.sequenceLength) {
+    problems.push(`sequence length must be ${metadata.sequenceLength}`);
+  }
+  if (metadata.predictionDays !== dataset.predictionDays) {
+    problems.push(`horizon must be ${metadata.predictionDays}`);
+  }
+  if (metadata.target.mode !== dataset.target.mode || metadata.target.classes !== dataset.target.classes) {
+    problems.push(`target must be "${metadata.target.mode}"`);
+  } else {
+    if (metadata.target.threshold !== dataset.target.threshold) {
+      problems.push(`target threshold must be ${(metadata.target.threshold * 100).toFixed(2)}%`);
+    }
+    if (metadata.target.deadBand !== dataset.target.deadBand) {
+      problems.push(`small moves must be ${metadata.target.deadBand === 'ignore' ? 'ignored' : 'counted as not up'}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`The saved model does not fit this dataset: ${problems.join('; ')}.`);
+  }
+}
+
+export function restoreModelBundle(bundle) {
+  return {
+    model: GRUModel.deserialise(bundle.model),
+    scaler: FeatureScaler.fromJSON(bundle.metadata.scaler),
+  };
+}
+
+// Weights can run to tens of megabytes, well past the localStorage quota, so the
+// bundle is kept in IndexedDB as a structured clone.
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!globalThis.indexedDB) {
+      reject(new Error('Browser storage is not available; download the model instead.'));
+      return;
+    }
+
+    const request = globalThis.indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function saveModelBundle(bundle) {
+  try {
+    await withStore('readwrite', (store) => store.put(bundle, BUNDLE_KEY));
+  } catch (error) {
+    if (error?.name === 'QuotaExceededError') {
+      throw new Error('The model is too large for browser storage; download it instead.');
+    }
+    throw error;
+  }
+}
+
+export async function loadModelBundle() {
+  const bundle = await withStore('readonly', (store) => store.get(BUNDLE_KEY));
+  return bundle ? checkBundle(bundle) : null;
+}
+
+export async function hasSavedModel() {
+  try {
+    return (await withStore('readonly', (store) => store.count(BUNDLE_KEY))) > 0;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,31 @@
+const STORAGE_KEY = 'stock-gru.run-history';
+
+const MAX_RUNS = 20;
+
+export function loadRunHistory() {
+  try {
+    const runs = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(runs) ? runs : [];
+  } catch (error) {
+    console.warn('Ignoring unreadable run history.', error);
+    return [];
+  }
+}
+
+export function saveRun(run) {
+  const runs = [run, ...loadRunHistory()].slice(0, MAX_RUNS);
+  if (!globalThis.localStorage) {
+    return runs;
+  }
+
+  try {
+    globalThis.localStorage.setItem(STORAGE_KEY, JSON.stringify(runs));
+  } catch (error) {
+    console.warn('Unable to save run history.', error);
+  }
+  return runs;
+}
+
+export function clearRunHistory() {
+  globalThis.localStorage?.removeItem(STORAGE_KEY);
+}
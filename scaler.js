@@ -0,0 +1,147 @@
+const SCALER_VERSION = 1;
+
+export const SCALING_METHODS = ['minmax', 'standard', 'none'];
+
+function fitMinMax(values) {
+  const filtered = values.filter((v) => Number.isFinite(v));
+  if (filtered.length === 0) {
+    return { method: 'minmax', min: 0, max: 0 };
+  }
+  return {
+    method: 'minmax',
+    min: filtered.reduce((acc, v) => Math.min(acc, v), Number.POSITIVE_INFINITY),
+    max: filtered.reduce((acc, v) => Math.max(acc, v), Number.NEGATIVE_INFINITY),
+  };
+}
+
+function fitStandard(values) {
+  const filtered = values.filter((v) => Number.isFinite(v));
+  if (filtered.length === 0) {
+    return { method: 'standard', mean: 0, std: 0 };
+  }
+
+  const mean = filtered.reduce((acc, value) => acc + value, 0) / filtered.length;
+  const variance = filtered.reduce((acc, value) => acc + (value - mean) ** 2, 0) / filtered.length;
+  return { method: 'standard', mean, std: Math.sqrt(variance) };
+}
+
+function applyStats(stats, series) {
+  if (stats.method === 'none') {
+    return series.map((value) => (Number.isFinite(value) ? value : 0));
+  }
+
+  if (stats.method === 'minmax') {
+    const { min, max } = stats;
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min === max) {
+      return series.map(() => 0);
+    }
+    return series.map((value) => ((value - min) / (max - min)));
+  }
+
+  const { mean, std } = stats;
+  if (!Number.isFinite(std) || std === 0) {
+    return series.map(() => 0);
+  }
+  return series.map((value) => (Number.isFinite(value) ? (value - mean) / std : 0));
+}
+
+export class FeatureScaler {
+  constructor({ methods = {}, defaultMethod = 'standard' } = {}) {
+    this.methods = { ...methods };
+    this.defaultMethod = defaultMethod;
+    this.stats = {};
+    this.fitRange = null;
+  }
+
+  methodFor(featureKey) {
+    const method = this.methods[featureKey] ?? this.defaultMethod;
+    if (!SCALING_METHODS.includes(method)) {
+      throw new Error(`Unknown scaling method "${method}" for feature ${featureKey}.`);
+    }
+    return method;
+  }
+
+  get isFitted() {
+    return this.fitRange !== null;
+  }
+
+  fit(featureCube, symbols, featureKeys, { start = 0, end } = {}) {
+    this.stats = {};
+
+    symbols.forEach((symbol) => {
+      const columns = featureCube[symbol];
+      if (!columns) {
+        throw new Error(`Cannot fit scaler: no features for symbol ${symbol}.`);
+      }
+
+      this.stats[symbol] = {};
+      featureKeys.forEach((key) => {
+        const series = columns[key];
+        if (!Array.isArray(series)) {
+          throw new Error(`Cannot fit scaler: feature ${key} is missing for ${symbol}.`);
+        }
+
+        const window = series.slice(start, end ?? series.length);
+        const method = this.methodFor(key);
+        if (method === 'minmax') {
+          this.stats[symbol][key] = fitMinMax(window);
+        } else if (method === 'standard') {
+          this.stats[symbol][key] = fitStandard(window);
+        } else {
+          this.stats[symbol][key] = { method: 'none' };
+        }
+      });
+    });
+
+    this.fitRange = { start, end: end ?? null };
+    return this;
+  }
+
+  transformSeries(symbol, featureKey, series) {
+    const stats = this.stats[symbol]?.[featureKey];
+    if (!stats) {
+      throw new Error(`Scaler has no statistics for ${symbol} ${featureKey}.`);
+    }
+    return applyStats(stats, series);
+  }
+
+  transform(featureCube, symbols, featureKeys) {
+    if (!this.isFitted) {
+      throw new Error('Call fit() before transforming features.');
+    }
+
+    const normalised = {};
+    symbols.forEach((symbol) => {
+      normalised[symbol] = {};
+      featureKeys.forEach((key) => {
+        normalised[symbol][key] = this.transformSeries(symbol, key, featureCube[symbol][key].slice());
+      });
+    });
+    return normalised;
+  }
+
+  covers(symbols, featureKeys) {
+    return symbols.every((symbol) => featureKeys.every((key) => Boolean(this.stats[symbol]?.[key])));
+  }
+
+  toJSON() {
+    return {
+      version: SCALER_VERSION,
+      methods: { ...this.methods },
+      defaultMethod: this.defaultMethod,
+      fitRange: this.fitRange,
+      stats: this.stats,
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json || json.version !== SCALER_VERSION || typeof json.stats !== 'object') {
+      throw new Error('Unsupported or corrupt scaler payload.');
+    }
+
+    const scaler = new FeatureScaler({ methods: json.methods, defaultMethod: json.defaultMethod });
+    scaler.stats = json.stats;
+    scaler.fitRange = json.fitRange ?? { start: 0, end: null };
+    return scaler;
+  }
+}